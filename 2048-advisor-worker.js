@@ -0,0 +1,8 @@
+// 2048-advisor-worker.js - Runs Advisor2048 off the page thread (see Advisor2048.connect)
+
+importScripts('2048-rules.js', '2048-advisor.js');
+
+self.onmessage = (event) => {
+    const { id, grid, settings, options } = event.data;
+    self.postMessage({ id, advice: self.Advisor2048.advise(grid, settings, options) });
+};
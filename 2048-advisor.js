@@ -0,0 +1,259 @@
+// 2048-advisor.js - Expectimax move advice for 2048 and its variants (DOM-free)
+//
+// Player moves are max nodes, tile spawns chance nodes weighted by the spawn
+// distribution; leaves are scored by a board heuristic on tile ranks (see
+// Rules2048.rank), so the same weights work for every rule set:
+// open cells, possible merges and monotonic rows are good, big scattered tiles are bad.
+//
+// connect() runs the search in a Web Worker (2048-advisor-worker.js) and falls back
+// to the main thread where workers aren't available, e.g. pages opened from file://.
+
+(function(root) {
+    'use strict';
+
+    const Rules2048 = typeof module !== 'undefined' && module.exports ?
+        require('./2048-rules') : root.Rules2048;
+
+    // Heuristic weights, tuned for classic 4x4 and fine on the variants
+    const WEIGHTS = {
+        base: 200000,
+        empty: 270,
+        merges: 700,
+        monotonicity: 47,
+        sum: 11
+    };
+
+    const DEFAULT_OPTIONS = {
+        // Player moves to look ahead; 0 picks 2, or 3 once few cells are open
+        depth: 0,
+        // Chance nodes look at this many empty cells at most, spread over the board
+        maxCells: 5,
+        // Lines of play less likely than this are scored without looking further
+        minProbability: 0.0001
+    };
+
+    // Expected values this much below the best (as a share of it) are e times less likely
+    const CONFIDENCE_SCALE = 0.02;
+
+    // Score one blocker-free stretch of a row or column, given as ranks (0 = empty)
+    function scoreSegment(ranks, values, ruleSet) {
+        let empty = 0;
+        let merges = 0;
+        let sum = 0;
+        let increasing = 0;
+        let decreasing = 0;
+        let previous = null;
+
+        ranks.forEach((rank, i) => {
+            if (rank === 0) {
+                empty++;
+                return;
+            }
+            sum += Math.pow(rank, 3.5);
+            if (previous !== null && ruleSet.canMerge(values[previous], values[i])) merges++;
+            previous = i;
+        });
+        for (let i = 1; i < ranks.length; i++) {
+            const step = Math.pow(ranks[i - 1], 4) - Math.pow(ranks[i], 4);
+            if (step > 0) decreasing += step;
+            else increasing -= step;
+        }
+
+        return WEIGHTS.empty * empty + WEIGHTS.merges * merges -
+            WEIGHTS.monotonicity * Math.min(increasing, decreasing) - WEIGHTS.sum * sum;
+    }
+
+    function scoreLine(line, ruleSet) {
+        let score = 0;
+        let start = 0;
+        for (let i = 0; i <= line.length; i++) {
+            if (i < line.length && line[i] !== Rules2048.BLOCKER) continue;
+            const values = line.slice(start, i);
+            if (values.length > 1) {
+                score += scoreSegment(values.map(value => value === 0 ? 0 : ruleSet.rank(value) + 1), values, ruleSet);
+            }
+            start = i + 1;
+        }
+        return score;
+    }
+
+    /**
+     * @param {number[][]} grid
+     * @param {string} rules
+     * @param {Map} lineScores - Optional cache of line scores, boards share most of their lines
+     * @returns {number}
+     */
+    function evaluate(grid, rules, lineScores = null) {
+        const ruleSet = Rules2048.RULE_SETS[rules];
+        const score = (line) => {
+            if (!lineScores) return scoreLine(line, ruleSet);
+            const key = line.join(',');
+            let value = lineScores.get(key);
+            if (value === undefined) {
+                value = scoreLine(line, ruleSet);
+                lineScores.set(key, value);
+            }
+            return value;
+        };
+
+        let total = WEIGHTS.base;
+        grid.forEach(line => { total += score(line); });
+        for (let col = 0; col < grid.length; col++) {
+            total += score(grid.map(line => line[col]));
+        }
+        return total;
+    }
+
+    // Up to `count` cells spread evenly over the list, always the same ones for the same board
+    function spread(cells, count) {
+        if (cells.length <= count) return cells;
+        const step = cells.length / count;
+        return Array.from({ length: count }, (_, i) => cells[Math.floor(i * step)]);
+    }
+
+    class Search {
+        constructor(settings, options) {
+            this.rules = settings.rules;
+            this.spawn = settings.spawn;
+            this.options = options;
+            this.cache = new Map();
+            this.lineScores = new Map();
+        }
+
+        // Best expected value over the player's moves; 0 when the game is lost
+        max(grid, depth, probability) {
+            let best = 0;
+            Rules2048.DIRECTIONS.forEach(direction => {
+                const result = Rules2048.move(grid, direction, this.rules);
+                if (result.moved) best = Math.max(best, this.chance(result.grid, depth, probability));
+            });
+            return best;
+        }
+
+        // Expected value over the tiles that can spawn
+        chance(grid, depth, probability) {
+            if (depth === 0 || probability < this.options.minProbability) return evaluate(grid, this.rules, this.lineScores);
+
+            const key = `${depth}|${grid.join(';')}`;
+            if (this.cache.has(key)) return this.cache.get(key);
+
+            const cells = spread(Rules2048.emptyCells(grid), this.options.maxCells);
+            let value = 0;
+            if (cells.length === 0) {
+                value = evaluate(grid, this.rules, this.lineScores);
+            } else {
+                const copy = grid.map(line => [...line]);
+                cells.forEach(({ row, col }) => {
+                    this.spawn.forEach(([tile, chance]) => {
+                        copy[row][col] = tile;
+                        value += chance * this.max(copy, depth - 1, probability * chance / cells.length);
+                    });
+                    copy[row][col] = 0;
+                });
+                value /= cells.length;
+            }
+
+            this.cache.set(key, value);
+            return value;
+        }
+    }
+
+    const Advisor2048 = {
+        WEIGHTS: WEIGHTS,
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+
+        evaluate: evaluate,
+
+        /**
+         * Recommend a swipe
+         * @param {number[][]} grid
+         * @param {Object} settings - Rules2048.configure() result; rules and spawn are used
+         * @param {Object} options - See DEFAULT_OPTIONS
+         * @returns {Object} { direction, confidence, values } - direction is null when no
+         *   swipe moves anything; confidence in (0, 1] is the share of the best move in a
+         *   softmax over the expected values; values maps every legal direction to its value
+         */
+        advise(grid, settings, options = {}) {
+            const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+            const search = new Search(settings, opts);
+            const depth = opts.depth || (Rules2048.emptyCells(grid).length > 3 ? 2 : 3);
+
+            const values = {};
+            Rules2048.DIRECTIONS.forEach(direction => {
+                const result = Rules2048.move(grid, direction, settings.rules);
+                if (result.moved) values[direction] = search.chance(result.grid, depth, 1);
+            });
+
+            const legal = Object.keys(values);
+            if (legal.length === 0) return { direction: null, confidence: 0, values };
+
+            const direction = legal.reduce((best, candidate) => values[candidate] > values[best] ? candidate : best);
+            const scale = Math.max(1, Math.abs(values[direction]) * CONFIDENCE_SCALE);
+            const total = legal.reduce((sum, candidate) => sum + Math.exp((values[candidate] - values[direction]) / scale), 0);
+            return { direction, confidence: 1 / total, values };
+        },
+
+        /**
+         * Advice without blocking the page
+         * @param {string} workerUrl - Script of the worker, e.g. '2048-advisor-worker.js'
+         * @returns {Object} { advise(grid, settings, options) -> Promise, terminate() }
+         */
+        connect(workerUrl) {
+            let worker = null;
+            let nextId = 0;
+            const pending = new Map();
+
+            const runHere = (grid, settings, options) => new Promise(resolve =>
+                setTimeout(() => resolve(Advisor2048.advise(grid, settings, options))));
+
+            // Requests the worker still owed are answered here instead
+            const dropWorker = () => {
+                if (worker) worker.terminate();
+                worker = null;
+                pending.forEach(({ resolve, args }) => resolve(runHere(...args)));
+                pending.clear();
+            };
+
+            try {
+                if (typeof Worker === 'function') {
+                    worker = new Worker(workerUrl);
+                    worker.onmessage = (event) => {
+                        const request = pending.get(event.data.id);
+                        if (!request) return;
+                        pending.delete(event.data.id);
+                        request.resolve(event.data.advice);
+                    };
+                    worker.onerror = (event) => {
+                        console.warn('⚠️ Advisor worker failed, advising on the main thread:', event.message);
+                        dropWorker();
+                    };
+                }
+            } catch (e) {
+                worker = null;
+            }
+
+            return {
+                advise(grid, settings, options = {}) {
+                    if (!worker) return runHere(grid, settings, options);
+                    return new Promise(resolve => {
+                        const id = ++nextId;
+                        pending.set(id, { resolve, args: [grid, settings, options] });
+                        worker.postMessage({ id, grid, settings, options });
+                    });
+                },
+
+                terminate() {
+                    if (worker) worker.terminate();
+                    worker = null;
+                    pending.clear();
+                }
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Advisor2048;
+    } else {
+        root.Advisor2048 = Advisor2048;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,237 @@
+// 2048-rules.js - Board rules of 2048 and its variants, shared by the game and its verifier (DOM-free)
+//
+// A grid is an array of rows; 0 is an empty cell and BLOCKER an immovable one.
+// Every swipe is the same line merge: the grid is rotated so the swipe points left,
+// each row slides towards index 0, and the grid is rotated back. Blockers split a
+// row into segments that slide on their own.
+//
+// Rule sets decide which tiles merge and what they spawn:
+//   classic    equal tiles merge, 2 + 2 = 4
+//   fibonacci  neighbouring Fibonacci numbers merge, 1 + 1 = 2, 2 + 3 = 5
+//   threes     1 + 2 = 3, then equal tiles from 3 up merge, 3 + 3 = 6
+
+(function(root) {
+    'use strict';
+
+    const BLOCKER = -1;
+    const MIN_SIZE = 3;
+    const MAX_SIZE = 8;
+    const DIRECTIONS = ['left', 'down', 'right', 'up'];
+
+    // 1, 2, 3, 5, 8, ... far past anything a board can hold
+    const FIBONACCI = [1, 2];
+    while (FIBONACCI.length < 60) FIBONACCI.push(FIBONACCI[FIBONACCI.length - 1] + FIBONACCI[FIBONACCI.length - 2]);
+
+    const isPowerOfTwo = (value) => value >= 2 && Number.isInteger(Math.log2(value));
+
+    const RULE_SETS = {
+        classic: {
+            spawn: [[2, 0.9], [4, 0.1]],
+            winValues: { 1: 1024, 2: 2048, 3: 4096, 4: 8192 },
+            canMerge: (a, b) => a === b,
+            isTile: isPowerOfTwo,
+            rank: (value) => Math.log2(value) - 1
+        },
+        fibonacci: {
+            spawn: [[1, 0.9], [2, 0.1]],
+            winValues: { 1: 377, 2: 987, 3: 2584, 4: 6765 },
+            canMerge: (a, b) => (a === 1 && b === 1) || Math.abs(FIBONACCI.indexOf(a) - FIBONACCI.indexOf(b)) === 1,
+            isTile: (value) => FIBONACCI.includes(value),
+            rank: (value) => FIBONACCI.indexOf(value)
+        },
+        threes: {
+            spawn: [[1, 0.35], [2, 0.35], [3, 0.3]],
+            winValues: { 1: 384, 2: 768, 3: 1536, 4: 3072 },
+            canMerge: (a, b) => a + b === 3 || (a === b && a >= 3),
+            isTile: (value) => value === 1 || value === 2 || (value % 3 === 0 && Number.isInteger(Math.log2(value / 3))),
+            rank: (value) => value < 3 ? 0 : Math.log2(value / 3) + 1
+        }
+    };
+
+    function rotateClockwise(grid) {
+        const size = grid.length;
+        return grid.map((line, row) => line.map((_, col) => grid[size - 1 - col][row]));
+    }
+
+    function rotate(grid, turns) {
+        let rotated = grid;
+        for (let i = 0; i < turns; i++) rotated = rotateClockwise(rotated);
+        return rotated;
+    }
+
+    // Slide one blocker-free stretch of a line towards its start
+    function slideSegment(segment, ruleSet) {
+        const tiles = segment.filter(value => value !== 0);
+        const merged = [];
+        let points = 0;
+        for (let i = 0; i < tiles.length; i++) {
+            if (i + 1 < tiles.length && ruleSet.canMerge(tiles[i], tiles[i + 1])) {
+                merged.push(tiles[i] + tiles[i + 1]);
+                points += tiles[i] + tiles[i + 1];
+                i++;
+            } else {
+                merged.push(tiles[i]);
+            }
+        }
+        while (merged.length < segment.length) merged.push(0);
+        return { line: merged, points };
+    }
+
+    const Rules2048 = {
+        BLOCKER: BLOCKER,
+        MIN_SIZE: MIN_SIZE,
+        MAX_SIZE: MAX_SIZE,
+        DIRECTIONS: DIRECTIONS,
+        RULE_SETS: RULE_SETS,
+
+        /**
+         * Settings of a round from the game's custom launch parameters
+         * @param {Object} custom - { gridSize, rules, winValue, blockers, spawn }; winValue 0
+         *   uses the rule set's value for the difficulty, spawn is "value:weight,..." or ''
+         *   for the rule set's own. Unknown rule sets and spawn values not on the rule set's
+         *   ladder fall back to the defaults.
+         * @param {number} difficulty
+         * @returns {Object} { size, rules, winValue, blockers, spawn: [[value, probability], ...] }
+         */
+        configure(custom = {}, difficulty = 2) {
+            const size = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.floor(custom.gridSize) || 4));
+            const rules = RULE_SETS[custom.rules] ? custom.rules : 'classic';
+            const ruleSet = RULE_SETS[rules];
+            const winValue = Math.floor(custom.winValue) || ruleSet.winValues[difficulty] || ruleSet.winValues[2];
+            // At least half of the board stays open
+            const blockers = Math.min(Math.floor(size * size / 2) - 2, Math.max(0, Math.floor(custom.blockers) || 0));
+            return { size, rules, winValue, blockers, spawn: Rules2048.parseSpawn(custom.spawn, rules) };
+        },
+
+        /**
+         * @param {string} text - "2:90,4:10"; weights need not add up to anything
+         * @param {string} rules - Rule set name
+         * @returns {Array} [[value, probability], ...] with probabilities adding up to 1
+         */
+        parseSpawn(text, rules) {
+            const ruleSet = RULE_SETS[rules];
+            const entries = String(text || '').split(',')
+                .map(part => part.split(':').map(Number))
+                .filter(([value, weight]) => ruleSet.isTile(value) && weight > 0);
+            if (entries.length === 0) return ruleSet.spawn.map(entry => [...entry]);
+
+            const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+            return entries.map(([value, weight]) => [value, weight / total]);
+        },
+
+        /**
+         * Position of a tile on its rule set's ladder, 0 for the smallest; for colouring
+         * @param {number} value
+         * @param {string} rules
+         * @returns {number}
+         */
+        rank(value, rules) {
+            return RULE_SETS[rules].rank(value);
+        },
+
+        emptyGrid(size) {
+            return Array.from({ length: size }, () => Array(size).fill(0));
+        },
+
+        emptyCells(grid) {
+            const cells = [];
+            grid.forEach((line, row) => line.forEach((value, col) => {
+                if (value === 0) cells.push({ row, col });
+            }));
+            return cells;
+        },
+
+        /**
+         * Put `count` blockers on random empty cells
+         * @param {number[][]} grid - Changed in place
+         * @param {number} count
+         * @param {Function} randomInt - randomInt(n) gives an integer in [0, n)
+         */
+        placeBlockers(grid, count, randomInt) {
+            for (let i = 0; i < count; i++) {
+                const cells = Rules2048.emptyCells(grid);
+                if (cells.length === 0) return;
+                const { row, col } = cells[randomInt(cells.length)];
+                grid[row][col] = BLOCKER;
+            }
+        },
+
+        /**
+         * Add a tile from the spawn distribution on a random empty cell
+         * @param {number[][]} grid - Changed in place
+         * @param {Array} spawn - [[value, probability], ...]
+         * @param {Function} randomInt - Picks the cell
+         * @param {Function} random - random() in [0, 1), picks the value
+         * @returns {Object|null} { row, col, value }, null on a full board
+         */
+        spawn(grid, spawn, randomInt, random) {
+            const cells = Rules2048.emptyCells(grid);
+            if (cells.length === 0) return null;
+
+            const { row, col } = cells[randomInt(cells.length)];
+            const roll = random();
+            let total = 0;
+            const entry = spawn.find(([, probability]) => (total += probability) > roll) || spawn[spawn.length - 1];
+            grid[row][col] = entry[0];
+            return { row, col, value: entry[0] };
+        },
+
+        /**
+         * Slide a line towards index 0
+         * @param {number[]} line
+         * @param {string} rules - Rule set name
+         * @returns {Object} { line, points } - points is the sum of the merged tiles
+         */
+        slideLine(line, rules) {
+            const ruleSet = RULE_SETS[rules];
+            const result = [];
+            let points = 0;
+            let start = 0;
+            for (let i = 0; i <= line.length; i++) {
+                if (i < line.length && line[i] !== BLOCKER) continue;
+                const segment = slideSegment(line.slice(start, i), ruleSet);
+                result.push(...segment.line);
+                points += segment.points;
+                if (i < line.length) result.push(BLOCKER);
+                start = i + 1;
+            }
+            return { line: result, points };
+        },
+
+        /**
+         * Swipe the whole board
+         * @param {number[][]} grid - Left unchanged
+         * @param {string} direction - 'left', 'right', 'up' or 'down'
+         * @param {string} rules
+         * @returns {Object} { grid, moved, points }
+         */
+        move(grid, direction, rules) {
+            const turns = DIRECTIONS.indexOf(direction);
+            if (turns < 0) return { grid, moved: false, points: 0 };
+
+            let points = 0;
+            const slid = rotate(grid, turns).map(line => {
+                const result = Rules2048.slideLine(line, rules);
+                points += result.points;
+                return result.line;
+            });
+            const moved = rotate(slid, (4 - turns) % 4);
+            const changed = moved.some((line, row) => line.some((value, col) => value !== grid[row][col]));
+            return { grid: moved, moved: changed, points };
+        },
+
+        canMove(grid, rules) {
+            return DIRECTIONS.some(direction => Rules2048.move(grid, direction, rules).moved);
+        },
+
+        highestTile(grid) {
+            return Math.max(0, ...grid.map(line => Math.max(...line)));
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Rules2048;
+    } else {
+        root.Rules2048 = Rules2048;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,80 @@
+// 2048-verifier.js - 2048 rules for result-verifier.js (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    const Rules2048 = typeof module !== 'undefined' && module.exports ?
+        require('./2048-rules') : root.Rules2048;
+
+    const Verifier2048 = {
+        gameId: '2048',
+
+        // Scoring spec of Game2048
+        scoring: { bonuses: { highestTile: 10 }, penalties: { hint: 100 } },
+
+        /**
+         * Build the starting board exactly like Game2048.initGame()
+         * @param {Object} data - Decoded replay data
+         * @param {SeededRandom} rng - Generator for the recorded round
+         * @param {ScoringEngine} scoring - Scoring rules of the round
+         */
+        create(data, rng, scoring) {
+            const settings = Rules2048.configure(data.c, data.d);
+            let grid = Rules2048.emptyGrid(settings.size);
+
+            const addRandomTile = () => Rules2048.spawn(grid, settings.spawn, (n) => rng.nextInt(n), () => rng.next());
+
+            Rules2048.placeBlockers(grid, settings.blockers, (n) => rng.nextInt(n));
+            addRandomTile();
+            addRandomTile();
+
+            return {
+                state: { score: 0, moves: 0, mistakes: 0, hintsUsed: 0 },
+
+                // Game2048.move() / useHint()
+                apply(type, [direction]) {
+                    if (type === 'hint') {
+                        if (this.state.hintsUsed < data.h) this.state.hintsUsed++;
+                        return false;
+                    }
+                    if (type !== 'swipe') return false;
+
+                    const result = Rules2048.move(grid, direction, settings.rules);
+                    if (!result.moved) return false;
+                    grid = result.grid;
+                    this.state.score += result.points;
+                    this.state.moves++;
+                    addRandomTile();
+                    return true;
+                },
+
+                capture() {
+                    return grid.map(row => [...row]);
+                },
+
+                restore(board) {
+                    grid = board.map(row => [...row]);
+                },
+
+                // Game2048.checkWin() / checkGameOver()
+                getOutcome() {
+                    if (Rules2048.highestTile(grid) >= settings.winValue) return 'won';
+                    return Rules2048.canMove(grid, settings.rules) ? null : 'lost';
+                },
+
+                par: null,
+
+                // Game2048.gameOver()
+                getMetrics() {
+                    return { highestTile: Rules2048.highestTile(grid) };
+                }
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Verifier2048;
+    } else {
+        (root.GameVerifiers = root.GameVerifiers || {})['2048'] = Verifier2048;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,168 @@
+// achievements.js - Achievement definitions, progress counters and unlocks of one player (DOM-free)
+//
+// Games define achievements in one of two forms:
+//
+//   { id: 'perfect_solver', icon: '🏆', name: 'Perfect Solver',
+//     description: 'Solve a puzzle in the fewest possible moves',
+//     when: (round, game) => round.success && game.isOptimalSolution() }   unlocks once `when` is true
+//
+//   { id: 'tower_master', icon: '🗼', name: 'Tower Master',
+//     description: 'Solve 50 puzzles', counter: 'won', goal: 50 }           unlocks when the counter reaches goal
+//
+// `round` is { finished, success }; conditions are checked mid-game with finished false.
+// Counters live across rounds; TelegramMiniGame counts 'played' and 'won' itself.
+//
+// Progress is plain JSON, one record per player and game:
+//   { "v": 1, "unlocked": { "perfect_solver": 1760781600000 }, "counters": { "won": 12 } }
+
+(function(root) {
+    'use strict';
+
+    const VERSION = 1;
+
+    function emptyProgress() {
+        return { v: VERSION, unlocked: {}, counters: {} };
+    }
+
+    class AchievementRegistry {
+        /**
+         * @param {Object[]} definitions
+         */
+        constructor(definitions = []) {
+            this.definitions = [];
+            this.progress = emptyProgress();
+            this.define(definitions);
+        }
+
+        /**
+         * Read stored progress; anything unreadable or from another version is empty
+         * @param {string|null} text
+         * @returns {Object}
+         */
+        static parse(text) {
+            if (!text) return emptyProgress();
+            try {
+                const progress = JSON.parse(text);
+                return progress && progress.v === VERSION ?
+                    Object.assign(emptyProgress(), progress) : emptyProgress();
+            } catch (e) {
+                return emptyProgress();
+            }
+        }
+
+        /**
+         * Combine two copies of the same progress (local and cloud): every unlock
+         * with its earliest time, the higher value of every counter
+         * @param {Object} a
+         * @param {Object} b
+         * @returns {Object}
+         */
+        static merge(a, b) {
+            const merged = emptyProgress();
+            [a, b].forEach(progress => {
+                Object.entries(progress.unlocked).forEach(([id, at]) => {
+                    merged.unlocked[id] = id in merged.unlocked ? Math.min(merged.unlocked[id], at) : at;
+                });
+                Object.entries(progress.counters).forEach(([counter, value]) => {
+                    merged.counters[counter] = Math.max(merged.counters[counter] || 0, value);
+                });
+            });
+            return merged;
+        }
+
+        /**
+         * Add definitions
+         * @param {Object[]} definitions
+         * @throws {Error} On duplicate ids or definitions without a condition or counter
+         */
+        define(definitions) {
+            definitions.forEach(definition => {
+                const id = definition.id;
+                if (typeof id !== 'string' || !id) throw new Error('Achievement needs an id');
+                if (this.get(id)) throw new Error(`Achievement "${id}" is defined twice`);
+
+                const byCounter = typeof definition.counter === 'string';
+                if (byCounter && !(definition.goal > 0)) {
+                    throw new Error(`Achievement "${id}" needs a goal for counter "${definition.counter}"`);
+                }
+                if (!byCounter && typeof definition.when !== 'function') {
+                    throw new Error(`Achievement "${id}" needs a when() condition or a counter`);
+                }
+                this.definitions.push(Object.assign({ icon: '🏅', name: id, description: '' }, definition));
+            });
+        }
+
+        get(id) {
+            return this.definitions.find(definition => definition.id === id) || null;
+        }
+
+        isUnlocked(id) {
+            return id in this.progress.unlocked;
+        }
+
+        getCounter(counter) {
+            return this.progress.counters[counter] || 0;
+        }
+
+        /**
+         * Add to a progress counter
+         * @param {string} counter
+         * @param {number} amount
+         * @param {number} now - Time in ms, for unlocks
+         * @returns {Object[]} Definitions this unlocked
+         */
+        count(counter, amount = 1, now = Date.now()) {
+            this.progress.counters[counter] = this.getCounter(counter) + amount;
+            return this.unlockWhere(definition =>
+                definition.counter === counter && this.getCounter(counter) >= definition.goal, now);
+        }
+
+        /**
+         * Check the when() conditions of locked achievements
+         * @param {Object} round - { finished, success }
+         * @param {Object} game - Passed on to when()
+         * @param {number} now
+         * @returns {Object[]} Definitions this unlocked
+         */
+        evaluate(round, game, now = Date.now()) {
+            return this.unlockWhere(definition =>
+                typeof definition.when === 'function' && definition.when(round, game), now);
+        }
+
+        unlockWhere(test, now) {
+            const unlocked = this.definitions.filter(definition => !this.isUnlocked(definition.id) && test(definition));
+            unlocked.forEach(definition => { this.progress.unlocked[definition.id] = now; });
+            return unlocked;
+        }
+
+        /**
+         * Every definition with the player's progress, e.g. for a list screen
+         * @returns {Object[]} [{ id, icon, name, description, unlocked, unlockedAt, value, goal }]
+         *   value and goal are null for condition achievements
+         */
+        list() {
+            return this.definitions.map(definition => ({
+                id: definition.id,
+                icon: definition.icon,
+                name: definition.name,
+                description: definition.description,
+                unlocked: this.isUnlocked(definition.id),
+                unlockedAt: this.progress.unlocked[definition.id] || null,
+                value: definition.counter ? Math.min(this.getCounter(definition.counter), definition.goal) : null,
+                goal: definition.counter ? definition.goal : null
+            }));
+        }
+
+        serialize() {
+            return JSON.stringify(this.progress);
+        }
+    }
+
+    AchievementRegistry.VERSION = VERSION;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AchievementRegistry;
+    } else {
+        root.AchievementRegistry = AchievementRegistry;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,221 @@
+// card-themes.js - Card faces for Memory Match: built-in emoji sets and JSON theme packs
+//
+// A theme is a list of sets, one per group of cards that match. Card j of a set
+// shows face j of the set (wrapping around), so
+//   ["🐶"]              every card of the set shows the dog
+//   ["perro", "🐶"]     a word matches its picture
+// A face is a string (an emoji, or a word when it has letters) or an object:
+//   { "text": "el perro" }
+//   { "image": "dog.png", "alt": "dog" }   relative URLs are relative to the pack file
+//   { "svg": "<svg ...>...</svg>" }        inline markup, shown as an image
+//
+// Theme packs are JSON files with the sets, or "symbols" for one face per set:
+//   { "name": "Spanish words", "icon": "🇪🇸", "sets": [["el perro", "🐶"], ...] }
+//   { "name": "Shapes", "icon": "🔷", "symbols": [{ "svg": "..." }, ...] }
+// Packs are fetched, so pages opened from file:// only get the built-in themes.
+//
+// A source names a theme:
+//   'animals'                  a built-in emoji set
+//   'pack:spanish'             a pack shipped in themes/memory/
+//   'url:https://.../x.json'   any pack URL (needs CORS from other origins)
+
+(function(root) {
+    'use strict';
+
+    const BUILTIN = {
+        animals: { icon: '🐶', name: 'Animals', symbols: ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐸'] },
+        fruits: { icon: '🍎', name: 'Fruits', symbols: ['🍎', '🍊', '🍋', '🍌', '🍉', '🍇', '🍓', '🍒', '🍑', '🍍', '🥝', '🥥'] },
+        nature: { icon: '🌸', name: 'Nature', symbols: ['🌸', '🌺', '🌻', '🌷', '🌹', '🌼', '🌿', '🍀', '🌾', '🌵', '🍁', '🍄'] },
+        space: { icon: '🪐', name: 'Space', symbols: ['🌍', '🌙', '⭐', '☀️', '🪐', '🌟', '💫', '✨', '☄️', '🌈', '🚀', '🛸'] },
+        food: { icon: '🍕', name: 'Food', symbols: ['🍕', '🍔', '🌮', '🍟', '🍿', '🎂', '🍪', '🍩', '🧁', '🍦', '🥨', '🍣'] },
+        numbers: { icon: '🔢', name: 'Numbers', symbols: ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟', '#️⃣', '*️⃣'] }
+    };
+
+    const PACKS = {
+        shapes: { icon: '🔷', name: 'Shapes', url: 'themes/memory/shapes.json' },
+        spanish: { icon: '🇪🇸', name: 'Spanish words', url: 'themes/memory/spanish.json' },
+        capitals: { icon: '🏛️', name: 'Capitals', url: 'themes/memory/capitals.json' }
+    };
+
+    const DEFAULT_THEME = 'animals';
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[ch]);
+    }
+
+    /**
+     * @param {*} face - As written in a pack
+     * @param {string} baseUrl - URL of the pack, for relative image URLs
+     * @returns {Object|null} { text, word } | { image, alt } | { svg }, null when unreadable
+     */
+    function normalizeFace(face, baseUrl) {
+        if (typeof face === 'string' || typeof face === 'number') face = { text: String(face) };
+        if (!face || typeof face !== 'object') return null;
+
+        if (typeof face.text === 'string' && face.text.trim()) {
+            // Words get a smaller font than emoji
+            return { text: face.text.trim(), word: /\p{L}{2,}/u.test(face.text) };
+        }
+        if (typeof face.image === 'string' && face.image) {
+            let image = face.image;
+            try {
+                if (baseUrl) image = new URL(face.image, baseUrl).href;
+            } catch (e) {
+                return null;
+            }
+            return { image, alt: String(face.alt || '') };
+        }
+        if (typeof face.svg === 'string' && /^\s*<svg[\s>]/i.test(face.svg)) return { svg: face.svg.trim() };
+        return null;
+    }
+
+    const faceKey = (face) => face.text !== undefined ? `text:${face.text}` :
+        face.image !== undefined ? `image:${face.image}` : `svg:${face.svg}`;
+
+    const CardThemes = {
+        BUILTIN: BUILTIN,
+        PACKS: PACKS,
+        DEFAULT_THEME: DEFAULT_THEME,
+
+        /**
+         * Every named source, built-in sets first
+         * @returns {Object[]} [{ source, icon, name }]
+         */
+        list() {
+            return Object.keys(BUILTIN).map(id => ({ source: id, icon: BUILTIN[id].icon, name: BUILTIN[id].name }))
+                .concat(Object.keys(PACKS).map(id => ({ source: `pack:${id}`, icon: PACKS[id].icon, name: PACKS[id].name })));
+        },
+
+        /**
+         * Check a pack's structure and bring it to one shape
+         * @param {Object} pack - Parsed pack JSON
+         * @param {string} baseUrl - Where the pack came from, '' for none
+         * @returns {Object} { name, icon, sets: [[face, ...], ...] }
+         * @throws {Error} When the pack has no sets or a face can't be read
+         */
+        normalize(pack, baseUrl = '') {
+            if (!pack || typeof pack !== 'object') throw new Error('Theme pack is not a JSON object');
+
+            const raw = Array.isArray(pack.sets) ? pack.sets :
+                (Array.isArray(pack.symbols) ? pack.symbols.map(symbol => [symbol]) : null);
+            if (!raw || raw.length === 0) throw new Error('Theme pack has no "sets" or "symbols"');
+
+            const sets = raw.map((set, i) => {
+                const faces = (Array.isArray(set) ? set : [set]).map(face => normalizeFace(face, baseUrl));
+                if (faces.length === 0 || faces.includes(null)) throw new Error(`Set ${i + 1} of the theme pack has an unreadable face`);
+                return faces;
+            });
+            return { name: String(pack.name || 'Custom'), icon: String(pack.icon || '🎴'), sets };
+        },
+
+        /**
+         * Problems that keep a theme from dealing a round
+         * @param {Object} theme - normalize() result
+         * @param {number} setCount - Sets the round deals
+         * @returns {string[]} Empty when the theme can be used
+         */
+        validate(theme, setCount) {
+            const errors = [];
+            if (theme.sets.length < setCount) {
+                errors.push(`Theme "${theme.name}" has ${theme.sets.length} sets, the round needs ${setCount}`);
+            }
+
+            // A face in two sets would make cards look alike that don't match
+            const owners = new Map();
+            theme.sets.forEach((set, i) => set.forEach(face => {
+                const key = faceKey(face);
+                if (owners.has(key) && owners.get(key) !== i) {
+                    errors.push(`Sets ${owners.get(key) + 1} and ${i + 1} of theme "${theme.name}" share a face`);
+                }
+                owners.set(key, i);
+            }));
+            return errors;
+        },
+
+        /**
+         * @param {string} source
+         * @returns {Promise<Object|null>} Normalized theme, null for unknown sources
+         *   and packs that can't be loaded or read
+         */
+        resolve(source) {
+            const [kind, ...rest] = String(source).split(':');
+            const id = rest.join(':');
+
+            if (rest.length === 0) {
+                return Promise.resolve(BUILTIN[kind] ? CardThemes.normalize(BUILTIN[kind]) : null);
+            }
+            const url = kind === 'pack' ? (PACKS[id] && PACKS[id].url) : (kind === 'url' ? id : null);
+            if (!url) return Promise.resolve(null);
+            return CardThemes.load(url).catch(error => {
+                console.warn(`⚠️ Theme pack ${url}:`, error.message);
+                return null;
+            });
+        },
+
+        /**
+         * @param {string} url
+         * @returns {Promise<Object>} Normalized theme
+         */
+        load(url) {
+            let baseUrl = url;
+            return Promise.resolve()
+                .then(() => {
+                    if (typeof location !== 'undefined') baseUrl = new URL(url, location.href).href;
+                    return fetch(baseUrl);
+                })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(pack => CardThemes.normalize(pack, baseUrl));
+        },
+
+        /**
+         * Sets for one round, a different choice each round when the theme has spare ones
+         * @param {Object} theme
+         * @param {number} count
+         * @param {Function} random - random() gives a float in [0, 1)
+         * @returns {Array} count sets of faces
+         */
+        pick(theme, count, random) {
+            const order = theme.sets.map((_, i) => i);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            return order.slice(0, count).map(i => theme.sets[i]);
+        },
+
+        /**
+         * Face of one card
+         * @param {Array} set - Faces of the card's set
+         * @param {number} copy - Which card of the set, from 0
+         * @returns {Object}
+         */
+        faceOf(set, copy) {
+            return set[copy % set.length];
+        },
+
+        /**
+         * Markup for a face; SVG is shown through an image so it can't run scripts
+         * @param {Object} face
+         * @returns {string}
+         */
+        toHtml(face) {
+            if (face.image !== undefined) {
+                return `<img class="face-image" src="${escapeHtml(face.image)}" alt="${escapeHtml(face.alt)}" draggable="false">`;
+            }
+            if (face.svg !== undefined) {
+                return `<img class="face-image" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(face.svg)}" alt="" draggable="false">`;
+            }
+            return face.word ? `<span class="face-word">${escapeHtml(face.text)}</span>` : escapeHtml(face.text);
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CardThemes;
+    } else {
+        root.CardThemes = CardThemes;
+    }
+})(typeof window !== 'undefined' ? window : this);
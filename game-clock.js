@@ -0,0 +1,167 @@
+// game-clock.js - Round clock with countdown/count-up, pauses and time adjustments (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    // Monotonic time source: unaffected by changes to the device clock
+    const monotonicNow = typeof performance !== 'undefined' && typeof performance.now === 'function' ?
+        () => performance.now() : () => Date.now();
+
+    class GameClock {
+        // Kept private so the running game can't be rewound from devtools
+        #limitMs;
+        #warnings;
+        #now;
+        #tickInterval;
+        #callbacks;
+        #elapsedMs = 0;          // active time before the current running segment
+        #segmentStart = null;    // monotonic start of the current running segment
+        #adjustmentMs = 0;       // bonuses minus penalties
+        #warned = new Set();
+        #timer = null;
+        #expired = false;
+
+        /**
+         * @param {Object} options
+         * @param {number|null} options.limit - Countdown length in seconds, null to count up
+         * @param {number[]} options.warnings - Seconds remaining that trigger onWarning
+         * @param {number} options.tickInterval - Milliseconds between ticks
+         * @param {Function} options.onTick - Called with the clock on every tick
+         * @param {Function} options.onWarning - Called with the threshold crossed
+         * @param {Function} options.onExpire - Called once when a countdown reaches zero
+         * @param {Function} options.now - Time source in ms (defaults to performance.now)
+         */
+        constructor({ limit = null, warnings = [], tickInterval = 250, onTick, onWarning, onExpire, now } = {}) {
+            this.#limitMs = limit ? limit * 1000 : null;
+            this.#warnings = [...warnings].sort((a, b) => b - a);
+            this.#tickInterval = tickInterval;
+            this.#now = now || monotonicNow;
+            this.#callbacks = { onTick, onWarning, onExpire };
+        }
+
+        get mode() {
+            return this.#limitMs === null ? 'countup' : 'countdown';
+        }
+
+        get limit() {
+            return this.#limitMs === null ? null : this.#limitMs / 1000;
+        }
+
+        isRunning() {
+            return this.#segmentStart !== null;
+        }
+
+        isExpired() {
+            return this.#expired;
+        }
+
+        // Reset to zero and start running
+        start() {
+            this.stop();
+            this.#elapsedMs = 0;
+            this.#adjustmentMs = 0;
+            this.#warned.clear();
+            this.#expired = false;
+            this.resume();
+        }
+
+        pause() {
+            if (!this.isRunning()) return;
+            this.#elapsedMs += this.#now() - this.#segmentStart;
+            this.#segmentStart = null;
+            clearInterval(this.#timer);
+            this.#timer = null;
+        }
+
+        resume() {
+            if (this.isRunning() || this.#expired) return;
+            this.#segmentStart = this.#now();
+            this.#timer = setInterval(() => this.#tick(), this.#tickInterval);
+        }
+
+        // Final stop; the clock keeps its readings
+        stop() {
+            this.pause();
+        }
+
+        /**
+         * Continue from a saved reading (e.g. a resumed session). Leaves the clock paused.
+         * @param {number} elapsedMs - Active play time
+         * @param {number} adjustmentMs - Net bonus time
+         */
+        restore(elapsedMs, adjustmentMs = 0) {
+            this.stop();
+            this.#elapsedMs = Math.max(0, elapsedMs);
+            this.#adjustmentMs = adjustmentMs;
+            this.#warned.clear();
+            this.#expired = false;
+        }
+
+        /**
+         * Real play time, excluding pauses
+         * @returns {number} Milliseconds
+         */
+        getElapsedMs() {
+            const running = this.isRunning() ? this.#now() - this.#segmentStart : 0;
+            return this.#elapsedMs + running;
+        }
+
+        getAdjustmentMs() {
+            return this.#adjustmentMs;
+        }
+
+        /**
+         * Time on the clock face: play time with bonuses taken off and penalties added
+         * @returns {number} Milliseconds
+         */
+        getClockMs() {
+            return Math.max(0, this.getElapsedMs() - this.#adjustmentMs);
+        }
+
+        /**
+         * @returns {number|null} Milliseconds left on a countdown, null when counting up
+         */
+        getRemainingMs() {
+            if (this.#limitMs === null) return null;
+            return Math.max(0, this.#limitMs - this.getClockMs());
+        }
+
+        /**
+         * Apply a time bonus (positive) or penalty (negative)
+         * @param {number} seconds
+         */
+        addTime(seconds) {
+            this.#adjustmentMs += seconds * 1000;
+            if (this.isRunning()) this.#tick();
+        }
+
+        #tick() {
+            if (this.#callbacks.onTick) this.#callbacks.onTick(this);
+
+            const remainingMs = this.getRemainingMs();
+            if (remainingMs === null) return;
+
+            this.#warnings.forEach(threshold => {
+                if (remainingMs > threshold * 1000) {
+                    // Re-arm after a time bonus lifted the clock back above the threshold
+                    this.#warned.delete(threshold);
+                } else if (!this.#warned.has(threshold)) {
+                    this.#warned.add(threshold);
+                    if (this.#callbacks.onWarning) this.#callbacks.onWarning(threshold);
+                }
+            });
+
+            if (remainingMs === 0 && !this.#expired) {
+                this.#expired = true;
+                this.stop();
+                if (this.#callbacks.onExpire) this.#callbacks.onExpire();
+            }
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GameClock;
+    } else {
+        root.GameClock = GameClock;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -7,6 +7,334 @@ if (!window.Telegram || !window.Telegram.WebApp) {
     document.head.appendChild(script);
 }
 
+// Languages written right to left; the page switches to dir="rtl" for them
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+/*
+ * Framework strings, merged under each game's setTranslations() bundle.
+ * Values may use {placeholders}; plural values are objects keyed by
+ * Intl.PluralRules category (one, few, many, other) and take params.count.
+ */
+const FRAMEWORK_TRANSLATIONS = {
+    en: {
+        undo: '↩️ Undo',
+        redo: '↪️ Redo',
+        ok: '✅ OK',
+        play_again: '🎮 Play Again',
+        time_up: '⏰ Time Up!',
+        try_again: 'Try again!',
+        difficulty_1: 'Easy',
+        difficulty_2: 'Medium',
+        difficulty_3: 'Hard',
+        difficulty_4: 'Expert',
+        time_seconds: '{s}s',
+        time_minutes_seconds: '{m}m {s}s',
+        exit_confirm: 'Exit game? Progress will be lost.',
+        outbox_confirm: {
+            one: 'You have {count} unsent game result. Send it now?',
+            other: 'You have {count} unsent game results. Send them now?'
+        },
+        outbox_confirm_close: 'You have an unsent game result from {date}. Send it now? The game will close.',
+        outbox_sent: {
+            one: 'Sent {sent} of {count} result.',
+            other: 'Sent {sent} of {count} results.'
+        },
+        result_completed: 'Completed',
+        result_failed: 'Failed',
+        output_difficulty: '📊 Difficulty: {value}',
+        output_score: '⭐ Score: {value}',
+        output_moves: '🎯 Moves: {value}',
+        output_mistakes: '❌ Mistakes: {value}',
+        output_time: '⏱️ Time: {value}',
+        output_hints: '💡 Hints used: {value}',
+        output_undos: '↩️ Undos: {value}',
+        score_play: 'points',
+        score_base: 'base',
+        score_time: 'time bonus',
+        score_mistakes: 'mistakes',
+        score_hints: 'hints',
+        score_undos: 'undos',
+        stats: '📊 Stats',
+        stats_title: '📊 Your stats · {difficulty}',
+        stats_empty: 'No games played yet',
+        stats_played: 'Played',
+        stats_win_rate: 'Win rate',
+        stats_streak: 'Win streak',
+        stats_best_streak: 'Best win streak',
+        stats_day_streak: 'Days in a row',
+        stats_best_score: 'Best score',
+        stats_best_time: 'Best time',
+        stats_fewest_moves: 'Fewest moves',
+        stats_average_score: 'Average score',
+        stats_average_time: 'Average time',
+        stats_average_moves: 'Average moves',
+        stats_top: '🏆 Top runs',
+        stats_run: { one: '{score} · {time} · {count} move', other: '{score} · {time} · {count} moves' },
+        new_personal_best: '🏅 New personal best!',
+        close: 'Close',
+        achievement_unlocked: '🏅 Achievement unlocked!',
+        stats_achievements: '🏅 Achievements'
+    },
+    ru: {
+        undo: '↩️ Отменить',
+        redo: '↪️ Повторить',
+        ok: '✅ OK',
+        play_again: '🎮 Играть снова',
+        time_up: '⏰ Время вышло!',
+        try_again: 'Попробуйте ещё раз!',
+        difficulty_1: 'Легко',
+        difficulty_2: 'Средне',
+        difficulty_3: 'Сложно',
+        difficulty_4: 'Эксперт',
+        time_seconds: '{s} с',
+        time_minutes_seconds: '{m} мин {s} с',
+        exit_confirm: 'Выйти из игры? Прогресс будет потерян.',
+        outbox_confirm: {
+            one: 'У вас {count} неотправленный результат. Отправить сейчас?',
+            few: 'У вас {count} неотправленных результата. Отправить сейчас?',
+            many: 'У вас {count} неотправленных результатов. Отправить сейчас?',
+            other: 'У вас {count} неотправленного результата. Отправить сейчас?'
+        },
+        outbox_confirm_close: 'У вас есть неотправленный результат от {date}. Отправить его сейчас? Игра закроется.',
+        outbox_sent: {
+            one: 'Отправлено {sent} из {count} результата.',
+            other: 'Отправлено {sent} из {count} результатов.'
+        },
+        result_completed: 'Пройдено',
+        result_failed: 'Не пройдено',
+        output_difficulty: '📊 Сложность: {value}',
+        output_score: '⭐ Очки: {value}',
+        output_moves: '🎯 Ходы: {value}',
+        output_mistakes: '❌ Ошибки: {value}',
+        output_time: '⏱️ Время: {value}',
+        output_hints: '💡 Подсказки: {value}',
+        output_undos: '↩️ Отмены: {value}',
+        score_play: 'очки',
+        score_base: 'база',
+        score_time: 'бонус за время',
+        score_mistakes: 'ошибки',
+        score_hints: 'подсказки',
+        score_undos: 'отмены',
+        stats: '📊 Статистика',
+        stats_title: '📊 Ваша статистика · {difficulty}',
+        stats_empty: 'Вы ещё не играли',
+        stats_played: 'Сыграно',
+        stats_win_rate: 'Побед',
+        stats_streak: 'Серия побед',
+        stats_best_streak: 'Лучшая серия',
+        stats_day_streak: 'Дней подряд',
+        stats_best_score: 'Лучший счёт',
+        stats_best_time: 'Лучшее время',
+        stats_fewest_moves: 'Меньше всего ходов',
+        stats_average_score: 'Средний счёт',
+        stats_average_time: 'Среднее время',
+        stats_average_moves: 'Среднее число ходов',
+        stats_top: '🏆 Лучшие игры',
+        stats_run: {
+            one: '{score} · {time} · {count} ход',
+            few: '{score} · {time} · {count} хода',
+            many: '{score} · {time} · {count} ходов',
+            other: '{score} · {time} · {count} хода'
+        },
+        new_personal_best: '🏅 Новый личный рекорд!',
+        close: 'Закрыть',
+        achievement_unlocked: '🏅 Новое достижение!',
+        stats_achievements: '🏅 Достижения'
+    },
+    es: {
+        undo: '↩️ Deshacer',
+        redo: '↪️ Rehacer',
+        ok: '✅ OK',
+        play_again: '🎮 Jugar de nuevo',
+        time_up: '⏰ ¡Se acabó el tiempo!',
+        try_again: '¡Inténtalo de nuevo!',
+        difficulty_1: 'Fácil',
+        difficulty_2: 'Medio',
+        difficulty_3: 'Difícil',
+        difficulty_4: 'Experto',
+        time_seconds: '{s} s',
+        time_minutes_seconds: '{m} min {s} s',
+        exit_confirm: '¿Salir del juego? Se perderá el progreso.',
+        outbox_confirm: {
+            one: 'Tienes {count} resultado sin enviar. ¿Enviarlo ahora?',
+            other: 'Tienes {count} resultados sin enviar. ¿Enviarlos ahora?'
+        },
+        outbox_confirm_close: 'Tienes un resultado sin enviar del {date}. ¿Enviarlo ahora? El juego se cerrará.',
+        outbox_sent: {
+            one: 'Enviado {sent} de {count} resultado.',
+            other: 'Enviados {sent} de {count} resultados.'
+        },
+        result_completed: 'Completado',
+        result_failed: 'Fallido',
+        output_difficulty: '📊 Dificultad: {value}',
+        output_score: '⭐ Puntuación: {value}',
+        output_moves: '🎯 Movimientos: {value}',
+        output_mistakes: '❌ Errores: {value}',
+        output_time: '⏱️ Tiempo: {value}',
+        output_hints: '💡 Pistas usadas: {value}',
+        output_undos: '↩️ Deshacer: {value}',
+        score_play: 'puntos',
+        score_base: 'base',
+        score_time: 'bonus de tiempo',
+        score_mistakes: 'errores',
+        score_hints: 'pistas',
+        score_undos: 'deshacer',
+        stats: '📊 Estadísticas',
+        stats_title: '📊 Tus estadísticas · {difficulty}',
+        stats_empty: 'Aún no has jugado',
+        stats_played: 'Partidas',
+        stats_win_rate: 'Victorias',
+        stats_streak: 'Racha de victorias',
+        stats_best_streak: 'Mejor racha',
+        stats_day_streak: 'Días seguidos',
+        stats_best_score: 'Mejor puntuación',
+        stats_best_time: 'Mejor tiempo',
+        stats_fewest_moves: 'Menos movimientos',
+        stats_average_score: 'Puntuación media',
+        stats_average_time: 'Tiempo medio',
+        stats_average_moves: 'Movimientos medios',
+        stats_top: '🏆 Mejores partidas',
+        stats_run: { one: '{score} · {time} · {count} movimiento', other: '{score} · {time} · {count} movimientos' },
+        new_personal_best: '🏅 ¡Nuevo récord personal!',
+        close: 'Cerrar',
+        achievement_unlocked: '🏅 ¡Logro desbloqueado!',
+        stats_achievements: '🏅 Logros'
+    },
+    uk: {
+        undo: '↩️ Скасувати',
+        redo: '↪️ Повторити',
+        ok: '✅ OK',
+        play_again: '🎮 Грати знову',
+        time_up: '⏰ Час вийшов!',
+        try_again: 'Спробуйте ще раз!',
+        difficulty_1: 'Легко',
+        difficulty_2: 'Середньо',
+        difficulty_3: 'Складно',
+        difficulty_4: 'Експерт',
+        time_seconds: '{s} с',
+        time_minutes_seconds: '{m} хв {s} с',
+        exit_confirm: 'Вийти з гри? Прогрес буде втрачено.',
+        outbox_confirm: {
+            one: 'У вас {count} невідправлений результат. Надіслати зараз?',
+            few: 'У вас {count} невідправлені результати. Надіслати зараз?',
+            many: 'У вас {count} невідправлених результатів. Надіслати зараз?',
+            other: 'У вас {count} невідправленого результату. Надіслати зараз?'
+        },
+        outbox_confirm_close: 'У вас є невідправлений результат від {date}. Надіслати його зараз? Гра закриється.',
+        outbox_sent: {
+            one: 'Надіслано {sent} з {count} результату.',
+            other: 'Надіслано {sent} з {count} результатів.'
+        },
+        result_completed: 'Пройдено',
+        result_failed: 'Не пройдено',
+        output_difficulty: '📊 Складність: {value}',
+        output_score: '⭐ Очки: {value}',
+        output_moves: '🎯 Ходи: {value}',
+        output_mistakes: '❌ Помилки: {value}',
+        output_time: '⏱️ Час: {value}',
+        output_hints: '💡 Підказки: {value}',
+        output_undos: '↩️ Скасування: {value}',
+        score_play: 'очки',
+        score_base: 'база',
+        score_time: 'бонус за час',
+        score_mistakes: 'помилки',
+        score_hints: 'підказки',
+        score_undos: 'скасування',
+        stats: '📊 Статистика',
+        stats_title: '📊 Ваша статистика · {difficulty}',
+        stats_empty: 'Ви ще не грали',
+        stats_played: 'Зіграно',
+        stats_win_rate: 'Перемог',
+        stats_streak: 'Серія перемог',
+        stats_best_streak: 'Найкраща серія',
+        stats_day_streak: 'Днів поспіль',
+        stats_best_score: 'Найкращий рахунок',
+        stats_best_time: 'Найкращий час',
+        stats_fewest_moves: 'Найменше ходів',
+        stats_average_score: 'Середній рахунок',
+        stats_average_time: 'Середній час',
+        stats_average_moves: 'Середня кількість ходів',
+        stats_top: '🏆 Найкращі ігри',
+        stats_run: {
+            one: '{score} · {time} · {count} хід',
+            few: '{score} · {time} · {count} ходи',
+            many: '{score} · {time} · {count} ходів',
+            other: '{score} · {time} · {count} ходу'
+        },
+        new_personal_best: '🏅 Новий особистий рекорд!',
+        close: 'Закрити',
+        achievement_unlocked: '🏅 Нове досягнення!',
+        stats_achievements: '🏅 Досягнення'
+    },
+    // Framework strings only; game texts without an Arabic entry fall back to English
+    ar: {
+        undo: '↩️ تراجع',
+        redo: '↪️ إعادة',
+        ok: '✅ حسنًا',
+        play_again: '🎮 العب مجددًا',
+        time_up: '⏰ انتهى الوقت!',
+        try_again: 'حاول مرة أخرى!',
+        difficulty_1: 'سهل',
+        difficulty_2: 'متوسط',
+        difficulty_3: 'صعب',
+        difficulty_4: 'خبير',
+        time_seconds: '{s} ث',
+        time_minutes_seconds: '{m} د {s} ث',
+        exit_confirm: 'الخروج من اللعبة؟ سيضيع تقدمك.',
+        outbox_confirm: {
+            one: 'لديك نتيجة لعبة واحدة لم تُرسل. هل تريد إرسالها الآن؟',
+            two: 'لديك نتيجتان لم تُرسلا. هل تريد إرسالهما الآن؟',
+            few: 'لديك {count} نتائج لم تُرسل. هل تريد إرسالها الآن؟',
+            other: 'لديك {count} نتيجة لم تُرسل. هل تريد إرسالها الآن؟'
+        },
+        outbox_confirm_close: 'لديك نتيجة لعبة لم تُرسل من {date}. هل تريد إرسالها الآن؟ ستُغلق اللعبة.',
+        outbox_sent: {
+            few: 'أُرسلت {sent} من {count} نتائج.',
+            other: 'أُرسلت {sent} من {count} نتيجة.'
+        },
+        result_completed: 'مكتملة',
+        result_failed: 'لم تكتمل',
+        output_difficulty: '📊 الصعوبة: {value}',
+        output_score: '⭐ النقاط: {value}',
+        output_moves: '🎯 الحركات: {value}',
+        output_mistakes: '❌ الأخطاء: {value}',
+        output_time: '⏱️ الوقت: {value}',
+        output_hints: '💡 التلميحات المستخدمة: {value}',
+        output_undos: '↩️ التراجعات: {value}',
+        score_play: 'نقاط',
+        score_base: 'الأساس',
+        score_time: 'مكافأة الوقت',
+        score_mistakes: 'الأخطاء',
+        score_hints: 'التلميحات',
+        score_undos: 'التراجعات',
+        stats: '📊 الإحصائيات',
+        stats_title: '📊 إحصائياتك · {difficulty}',
+        stats_empty: 'لم تلعب أي لعبة بعد',
+        stats_played: 'الألعاب',
+        stats_win_rate: 'نسبة الفوز',
+        stats_streak: 'سلسلة الانتصارات',
+        stats_best_streak: 'أفضل سلسلة انتصارات',
+        stats_day_streak: 'أيام متتالية',
+        stats_best_score: 'أفضل نتيجة',
+        stats_best_time: 'أفضل وقت',
+        stats_fewest_moves: 'أقل عدد من الحركات',
+        stats_average_score: 'متوسط النقاط',
+        stats_average_time: 'متوسط الوقت',
+        stats_average_moves: 'متوسط الحركات',
+        stats_top: '🏆 أفضل الجولات',
+        stats_run: {
+            one: '{score} · {time} · حركة واحدة',
+            two: '{score} · {time} · حركتان',
+            few: '{score} · {time} · {count} حركات',
+            other: '{score} · {time} · {count} حركة'
+        },
+        new_personal_best: '🏅 رقم قياسي شخصي جديد!',
+        close: 'إغلاق',
+        achievement_unlocked: '🏅 تم فتح إنجاز!',
+        stats_achievements: '🏅 الإنجازات'
+    }
+};
+
 class TelegramMiniGame {
     constructor(gameConfig) {
         this.config = {
@@ -16,9 +344,10 @@ class TelegramMiniGame {
             version: '1.0.0',
             
             // Standard Input Parameters
-            difficulty: 1,           // 1=Easy, 2=Medium, 3=Hard, 4=Expert
+            difficulty: gameConfig.difficulty || 1, // 1=Easy, 2=Medium, 3=Hard, 4=Expert
             timeLimit: null,         // seconds, null = no limit
             timeModifier: 1.0,       // multiplier for time (1.5 = 50% more time)
+            timeWarnings: [30, 10],  // seconds remaining that trigger a warning
             hintsEnabled: true,      // allow hints
             hintsCount: 3,           // number of hints available
             soundEnabled: true,      // sound effects
@@ -27,10 +356,21 @@ class TelegramMiniGame {
             // Scoring modifiers
             scoreModifier: 1.0,      // score multiplier
             penaltyEnabled: true,    // mistakes reduce score
+            scoring: null,           // bot override of the game's scoring spec (?scoring=, see scoring.js)
+            
+            // Undo / redo
+            undoLimit: null,         // max undos per game, null = unlimited, 0 = disabled
+            undoPenalty: 25,         // points deducted per undo (when penaltyEnabled)
             
             // Session data
             sessionId: null,         // unique session identifier
             userId: null,            // Telegram user ID
+            seed: null,              // PRNG seed (?seed=, defaults to sessionId)
+            
+            // Unsent results
+            resultEndpoint: null,    // HTTP endpoint for results when sendData can't deliver (?resultEndpoint=)
+            outboxMaxAge: 3 * 24 * 60 * 60 * 1000, // ms before an unsent result is dropped
+            sessionMaxAge: 24 * 60 * 60 * 1000,     // ms a paused run can be resumed
             
             // Language support
             language: 'en',          // default language
@@ -45,6 +385,8 @@ class TelegramMiniGame {
             moves: 0,
             mistakes: 0,
             hintsUsed: 0,
+            undos: 0,
+            redos: 0,
             startTime: null,
             endTime: null,
             timeElapsed: 0
@@ -53,12 +395,82 @@ class TelegramMiniGame {
         // Milestone tracking
         this.milestones = [];
         
+        // Seeded PRNG - every round of the same seed generates the same boards
+        this.rng = null;
+        this.round = 0;
+        
+        // Player inputs of the current round, and replay data when opened with ?replay=
+        this.moveLog = [];
+        this.replay = null;
+        this.replayPlayer = null;
+        
+        // Set once the round's result reached Telegram
+        this.resultSent = false;
+        
+        // Set while a saved session's inputs are re-applied, see restoreSession()
+        this.restoringSession = false;
+        
+        // Points per score component of the finished round, see applyScoring()
+        this.scoreBreakdown = null;
+        
+        // Result of the finished round, see end()
+        this.roundResult = null;
+        
+        // Move history for undo/redo (snapshots, most recent last)
+        this.history = { undo: [], redo: [] };
+        this.historyButtons = null;
+        
         // Language support (to be populated by child class)
         this.translations = {};
         
         this.tg = window.Telegram.WebApp;
         this.initTelegram();
         this.parseInputParams();
+        this.scoring = this.createScoring(gameConfig.scoring);
+        
+        // Round clock (see game-clock.js): counts down with a time limit, up without
+        this.clock = new GameClock({
+            limit: this.config.timeLimit,
+            warnings: this.config.timeWarnings,
+            onTick: () => this.onClockTick(this.clock),
+            onWarning: (secondsLeft) => this.handleTimeWarning(secondsLeft),
+            onExpire: () => this.onTimeUp()
+        });
+        
+        // Results that couldn't be delivered, kept across launches
+        this.outbox = new ResultOutbox({
+            endpoint: this.config.resultEndpoint,
+            maxAge: this.config.outboxMaxAge
+        });
+        
+        // Paused runs of this session, see saveSession()
+        this.storage = new GameStorage(this.tg);
+        this.bindPauseEvents();
+        this.loadSavedSession();
+        
+        // The player's history of this game and difficulty (see player-stats.js)
+        this.playerStats = PlayerStats.empty();
+        this.personalBests = [];
+        this.statsView = new StatsView(this);
+        
+        // Definitions come from the game (defineAchievements), progress from storage
+        this.achievements = new AchievementRegistry();
+        this.roundAchievements = [];
+        // Loaded by the player's first own round, see start()
+        this.playerDataLoaded = false;
+    }
+    
+    /**
+     * Load the player's stats and achievements and offer to resend queued results.
+     * Runs once, when the first round that isn't spectated starts: the game's
+     * settings are final by then (the stats key depends on them), and a demo
+     * handing the board to the player still gets the player's history.
+     */
+    loadPlayerData() {
+        this.playerDataLoaded = true;
+        this.loadStats();
+        this.loadAchievements();
+        setTimeout(() => this.offerOutboxResubmit());
     }
     
     // Parse URL parameters and Telegram init data
@@ -72,28 +484,93 @@ class TelegramMiniGame {
             this.config.timeLimit = parseInt(urlParams.get('timeLimit'));
         if (urlParams.has('timeModifier')) 
             this.config.timeModifier = parseFloat(urlParams.get('timeModifier'));
+        if (urlParams.has('timeWarnings')) 
+            this.config.timeWarnings = urlParams.get('timeWarnings').split(',').map(Number).filter(n => n > 0);
         if (urlParams.has('hints')) 
             this.config.hintsCount = parseInt(urlParams.get('hints'));
         if (urlParams.has('sessionId')) 
             this.config.sessionId = urlParams.get('sessionId');
+        if (urlParams.has('seed')) 
+            this.config.seed = urlParams.get('seed');
         if (urlParams.has('scoreModifier')) 
             this.config.scoreModifier = parseFloat(urlParams.get('scoreModifier'));
+        if (urlParams.has('penaltyEnabled')) 
+            this.config.penaltyEnabled = !['0', 'false'].includes(urlParams.get('penaltyEnabled'));
+        if (urlParams.has('undoLimit')) 
+            this.config.undoLimit = parseInt(urlParams.get('undoLimit'));
+        if (urlParams.has('undoPenalty')) 
+            this.config.undoPenalty = parseInt(urlParams.get('undoPenalty'));
+        if (urlParams.has('resultEndpoint')) 
+            this.config.resultEndpoint = urlParams.get('resultEndpoint');
+        if (urlParams.has('scoring')) {
+            try {
+                this.config.scoring = ScoringEngine.parse(urlParams.get('scoring'));
+            } catch (e) {
+                console.error('❌ Invalid scoring spec, using game defaults:', e);
+            }
+        }
+        
+        // Game-specific overrides for any key declared in `custom`
+        Object.keys(this.config.custom).forEach(key => {
+            if (!urlParams.has(key)) return;
+            
+            const value = urlParams.get(key);
+            const current = this.config.custom[key];
+            
+            if (typeof current === 'number') {
+                if (!isNaN(parseFloat(value))) this.config.custom[key] = parseFloat(value);
+            } else if (typeof current === 'boolean') {
+                this.config.custom[key] = value === 'true' || value === '1';
+            } else {
+                this.config.custom[key] = value;
+            }
+        });
         
         // Language parameter
         if (urlParams.has('lang') || urlParams.has('language')) {
             this.config.language = urlParams.get('lang') || urlParams.get('language');
         }
         
-        // Get user from Telegram
-        if (this.tg.initDataUnsafe.user) {
-            this.config.userId = this.tg.initDataUnsafe.user.id;
+        // Player identity: signed initData first, a userId URL parameter only outside Telegram
+        this.identity = TelegramIdentity.fromWebApp(this.tg, urlParams);
+        this.user = this.identity.user;
+        if (this.user) {
+            this.config.userId = this.user.id;
             
             // Auto-detect language from Telegram user if not specified
-            if (!urlParams.has('lang') && !urlParams.has('language')) {
-                this.config.language = this.tg.initDataUnsafe.user.language_code || 'en';
+            if (this.identity.source !== 'url' && !urlParams.has('lang') && !urlParams.has('language')) {
+                this.config.language = this.user.language;
+            }
+        }
+        if (this.identity.source === 'url') {
+            console.warn('⚠️ userId comes from the URL and can\'t be verified by the bot');
+        }
+        
+        // Replay mode: reproduce the recorded round instead of starting a fresh one
+        if (urlParams.has('replay')) {
+            try {
+                this.replay = MoveLog.decode(urlParams.get('replay'));
+                this.config.seed = this.replay.s;
+                this.config.difficulty = this.replay.d;
+                this.config.hintsCount = this.replay.h;
+                this.config.undoLimit = this.replay.u;
+                this.config.penaltyEnabled = this.replay.p > 0;
+                this.config.undoPenalty = this.replay.p;
+                this.config.scoring = this.replay.k || null;
+                Object.assign(this.config.custom, this.replay.c);
+                this.config.timeLimit = null;
+                this.round = this.replay.r - 1;
+            } catch (e) {
+                console.error('❌ Invalid replay:', e);
+                this.replay = null;
             }
         }
         
+        // Without an explicit seed, players of the same session share boards
+        if (this.config.seed === null) {
+            this.config.seed = this.config.sessionId || Math.random().toString(36).slice(2, 10);
+        }
+        
         // Normalize language code (e.g., 'en-US' -> 'en')
         this.config.language = this.config.language.split('-')[0].toLowerCase();
         
@@ -124,7 +601,8 @@ class TelegramMiniGame {
     /**
      * Set translations for this game
      * Should be called by child class in constructor
-     * @param {Object} translations - Object with language codes as keys
+     * @param {Object} translations - Object with language codes as keys,
+     *   layered over FRAMEWORK_TRANSLATIONS
      * Example: { en: {...}, es: {...}, ru: {...} }
      */
     setTranslations(translations) {
@@ -142,30 +620,64 @@ class TelegramMiniGame {
     /**
      * Get translation for a key
      * @param {string} key - Translation key
+     * @param {Object} params - Values for {placeholders}; `count` also picks the plural form
      * @param {string} fallback - Optional fallback text
      * @returns {string} Translated text
+     * Example: this.t('moves_to_go', { count: 3 }) -> '3 moves to go'
      */
-    t(key, fallback = null) {
-        const lang = this.config.language;
+    t(key, params = {}, fallback = null) {
+        const lang = this.getLanguage();
+        const found = [lang, 'en']
+            .map(code => ({ code, value: this.lookupTranslation(code, key) }))
+            .find(entry => entry.value !== undefined);
         
-        // Try current language
-        if (this.translations[lang] && this.translations[lang][key]) {
-            return this.translations[lang][key];
-        }
+        if (!found) return fallback || key;
         
-        // Try English fallback
-        if (lang !== 'en' && this.translations.en && this.translations.en[key]) {
-            return this.translations.en[key];
+        let text = found.value;
+        if (typeof text === 'object') {
+            const form = new Intl.PluralRules(found.code).select(Number(params.count) || 0);
+            text = text[form] !== undefined ? text[form] : text.other;
         }
         
-        // Return fallback or key
-        return fallback || key;
+        return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match);
+    }
+    
+    // Game bundle first, then the framework's
+    lookupTranslation(lang, key) {
+        const bundles = [this.translations[lang], FRAMEWORK_TRANSLATIONS[lang]];
+        const bundle = bundles.find(strings => strings && strings[key] !== undefined);
+        return bundle ? bundle[key] : undefined;
+    }
+    
+    /**
+     * Language the texts are shown in: the requested one when there are
+     * strings for it, English otherwise
+     * @returns {string}
+     */
+    getLanguage() {
+        const lang = this.config.language;
+        return this.translations[lang] || FRAMEWORK_TRANSLATIONS[lang] ? lang : 'en';
+    }
+    
+    /**
+     * Whether the page is laid out right to left. Goes by the requested
+     * language: a player reading Arabic or Hebrew expects a mirrored layout
+     * even where a game has no strings of its own for it yet.
+     * @returns {boolean}
+     */
+    isRTL() {
+        return RTL_LANGUAGES.includes(this.config.language);
     }
     
     /**
      * Apply translations to DOM elements with data-i18n attribute
      */
     applyTranslations() {
+        // Page language and direction; boards that must not mirror carry dir="ltr"
+        document.documentElement.lang = this.getLanguage();
+        document.documentElement.dir = this.isRTL() ? 'rtl' : 'ltr';
+        
         document.querySelectorAll('[data-i18n]').forEach(el => {
             const key = el.getAttribute('data-i18n');
             const translation = this.t(key);
@@ -189,6 +701,11 @@ class TelegramMiniGame {
             el.placeholder = this.t(key);
         });
         
+        // And data-i18n-title for tooltips
+        document.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.getAttribute('data-i18n-title'));
+        });
+        
         console.log(`✅ Translations applied (${this.config.language})`);
     }
     
@@ -206,8 +723,7 @@ class TelegramMiniGame {
         const milestone = {
             name: milestoneName,
             timestamp: Date.now(),
-            gameTime: this.state.startTime ? 
-                Math.floor((Date.now() - this.state.startTime) / 1000) : 0,
+            gameTime: this.getTimeElapsed(),
             
             // Current game state snapshot
             state: {
@@ -262,311 +778,1631 @@ class TelegramMiniGame {
     }
     
     // ============================================
-    // GAME LIFECYCLE METHODS
+    // SEEDED RANDOMNESS
     // ============================================
     
-    // Start game
-    start() {
-        this.state.status = 'playing';
-        this.state.startTime = Date.now();
-        this.sendEvent('game_started', {
-            difficulty: this.config.difficulty,
-            timeLimit: this.config.timeLimit,
-            language: this.config.language
-        });
-        console.log('🎮 Game started');
+    /**
+     * Start a new deterministic random stream for the next round.
+     * Call at the beginning of initGame(), before generating the board.
+     * Round 1 uses the seed itself, later rounds derive "<seed>#<round>".
+     */
+    resetRandom() {
+        this.round++;
+        const roundSeed = this.round === 1 ? this.config.seed : `${this.config.seed}#${this.round}`;
+        this.rng = new SeededRandom(roundSeed);
     }
     
-    // End game
-    end(success) {
-        this.state.status = success ? 'completed' : 'failed';
-        this.state.endTime = Date.now();
-        this.state.timeElapsed = Math.floor((this.state.endTime - this.state.startTime) / 1000);
-        
-        const result = this.generateResult(success);
-        this.sendResult(result);
-        return result;
+    /**
+     * Seeded replacement for Math.random()
+     * @returns {number} Float in [0, 1)
+     */
+    random() {
+        if (!this.rng) this.resetRandom();
+        return this.rng.next();
     }
     
-    // Generate standardized result object
-    generateResult(success) {
-        const optimalScore = this.getOptimalScore();
-        const performance = optimalScore ? Math.min(100, (this.state.score / optimalScore) * 100) : 100;
-        
+    /**
+     * @param {number} max
+     * @returns {number} Integer in [0, max)
+     */
+    randomInt(max) {
+        return Math.floor(this.random() * max);
+    }
+    
+    /**
+     * Seeded shuffled copy of an array
+     * @param {Array} array
+     * @returns {Array}
+     */
+    shuffleArray(array) {
+        if (!this.rng) this.resetRandom();
+        return this.rng.shuffle(array);
+    }
+    
+    // ============================================
+    // UNDO / REDO HISTORY
+    // ============================================
+    
+    /**
+     * Snapshot of the current position for the history stacks.
+     * Board data comes from captureGameState(); mistakes and hints stay
+     * counted even when the move that caused them is undone.
+     * @returns {Object} History snapshot
+     */
+    createHistorySnapshot() {
         return {
-            // Result metadata
-            sessionId: this.config.sessionId,
-            gameId: this.config.gameId,
-            gameName: this.config.gameName,
-            userId: this.config.userId,
-            timestamp: new Date().toISOString(),
-            
-            // Game outcome
-            success: success,
-            status: this.state.status,
-            
-            // Performance metrics
-            score: this.state.score,
-            finalScore: Math.floor(this.state.score * this.config.scoreModifier),
-            moves: this.state.moves,
-            mistakes: this.state.mistakes,
-            hintsUsed: this.state.hintsUsed,
-            
-            // Time metrics
-            timeElapsed: this.state.timeElapsed,
-            timeLimit: this.config.timeLimit,
-            timeRemaining: this.config.timeLimit ? this.config.timeLimit - this.state.timeElapsed : null,
-            
-            // Performance rating
-            performance: Math.min(100, Math.max(0, performance)),
-            rating: this.getRating(performance),
-            
-            // Configuration used
-            difficulty: this.config.difficulty,
-            language: this.config.language,
-            modifiers: {
-                timeModifier: this.config.timeModifier,
-                scoreModifier: this.config.scoreModifier,
-                hintsEnabled: this.config.hintsEnabled
+            state: {
+                score: this.state.score,
+                moves: this.state.moves
             },
-            
-            // Additional context
-            optimal: this.isOptimalSolution(),
-            achievements: this.checkAchievements(),
-            
-            // Milestone data
-            milestones: this.getMilestonesSummary(),
-            
-            // Game-specific data
-            gameData: this.getGameSpecificData(),
-            
-            // Output string for bot display
-            outputString: this.generateOutputString(success)
+            gameData: this.captureGameState()
         };
     }
     
-    // Send result back to Telegram bot
-    // Send result back to Telegram bot
-    // Send result back to Telegram bot
-    sendResult(result) {
-        console.log('📤 Sending result:', result);
-        
-        // Validate result has required fields
-        if (!result.sessionId || !result.gameId) {
-            console.error('❌ Invalid result: missing sessionId or gameId');
-            return;
-        }
-        
-        try {
-            // ✅ Create compact result (remove large data)
-            const compactResult = {
-                // Essential metadata
-                sessionId: result.sessionId,
-                gameId: result.gameId,
-                gameName: result.gameName,
-                userId: result.userId,
-                timestamp: result.timestamp,
-                
-                // Game outcome
-                success: result.success,
-                status: result.status,
-                
-                // Performance metrics (essential)
-                score: result.score,
-                finalScore: result.finalScore,
-                moves: result.moves,
-                mistakes: result.mistakes,
-                hintsUsed: result.hintsUsed,
-                
-                // Time metrics
-                timeElapsed: result.timeElapsed,
-                timeLimit: result.timeLimit,
-                timeRemaining: result.timeRemaining,
-                
-                // Performance rating
-                performance: result.performance,
-                rating: result.rating,
-                
-                // Configuration
-                difficulty: result.difficulty,
-                language: result.language,
-                
-                // Additional context
-                optimal: result.optimal,
-                achievements: result.achievements || [],
-                
-                // Minimal milestone summary
-                milestoneCount: result.milestones?.count || 0
-            };
-            
-            // Convert to JSON string (Telegram requires string)
-            const resultString = JSON.stringify(compactResult);
-            
-            console.log(`📏 Result size: ${resultString.length} bytes (limit: 4096)`);
-            
-            // Final size check
-            if (resultString.length > 4096) {
-                console.error(`❌ Result too large: ${resultString.length} bytes`);
-                
-                // Emergency ultra-compact version
-                const ultraCompact = {
-                    sessionId: result.sessionId,
-                    gameId: result.gameId,
-                    userId: result.userId,
-                    success: result.success,
-                    score: result.score,
-                    moves: result.moves,
-                    timeElapsed: result.timeElapsed,
-                    rating: result.rating,
-                    difficulty: result.difficulty
-                };
-                
-                resultString = JSON.stringify(ultraCompact);
-                console.log(`📏 Ultra-compact size: ${resultString.length} bytes`);
-            }
-            
-            console.log(`✅ Result validated: ${resultString.length} bytes`);
-            
-            // ✅ PRIMARY METHOD: Telegram's native sendData
-            if (this.tg && typeof this.tg.sendData === 'function') {
-                
-                console.log('📤 Calling Telegram.WebApp.sendData()...');
-
-                console.log('🔍 WebApp object:', window.Telegram.WebApp);
-                console.log('🔍 sendData function:', typeof window.Telegram.WebApp.sendData);
-                alert('About to send data: ' + JSON.stringify(result).substring(0, 100));
-                window.Telegram.WebApp.sendData(JSON.stringify(result));
-                
-                // Save to localStorage for debugging
-                localStorage.setItem('game_result_latest', resultString);
-                localStorage.setItem('last_send_time', new Date().toISOString());
-                
-                // ✅ FIX: Just send data - DON'T call close()
-                // Telegram will close the WebApp automatically after receiving data
-                this.tg.sendData(resultString);
-                console.log('✅ Data sent! Telegram will close WebApp automatically.');
-                
-                // ❌ REMOVED: Don't call this.tg.close()
-                // The WebApp closes automatically after sendData in real Telegram
-                
-                return; // Exit - we're done!
-            }
-            
-            // ⚠️ FALLBACK: If sendData not available (testing mode)
-            console.warn('⚠️ Telegram.WebApp.sendData() not available');
-            console.log('💾 Saving to localStorage instead');
-            
-            // Save locally for testing/debugging
-            localStorage.setItem(`game_result_${this.config.sessionId}`, resultString);
-            localStorage.setItem(`game_result_latest`, resultString);
-            
-            alert('Game completed!\n\nResult saved to localStorage (testing mode)');
-            
-        } catch (e) {
-            console.error('❌ Error sending result:', e);
-            
-            // Emergency fallback
-            localStorage.setItem(`game_result_error_${Date.now()}`, JSON.stringify({
-                error: e.message,
-                result: {
-                    sessionId: result.sessionId,
-                    gameId: result.gameId,
-                    score: result.score
-                }
-            }));
-            
-            alert('Error sending result. Data saved locally for recovery.');
-        }
+    /**
+     * Record the position before a move. Call right before mutating the board.
+     * @param {Object} snapshot - Optional snapshot taken earlier (e.g. before a move that may turn out to be a no-op)
+     */
+    pushHistory(snapshot = this.createHistorySnapshot()) {
+        this.history.undo.push(snapshot);
+        this.history.redo = [];
+        this.updateHistoryControls();
     }
     
-    // Send analytics events
-    sendEvent(eventName, eventData = {}) {
-        const event = {
-            type: 'GAME_EVENT',
-            event: eventName,
-            gameId: this.config.gameId,
-            sessionId: this.config.sessionId,
-            timestamp: Date.now(),
-            data: eventData
-        };
+    clearHistory() {
+        this.history = { undo: [], redo: [] };
+        this.updateHistoryControls();
+    }
+    
+    canUndo() {
+        if (this.state.status !== 'playing' || this.history.undo.length === 0) return false;
+        return this.config.undoLimit === null || this.state.undos < this.config.undoLimit;
+    }
+    
+    canRedo() {
+        return this.state.status === 'playing' && this.history.redo.length > 0;
+    }
+    
+    /**
+     * Take back the last move
+     * @returns {boolean} Whether a move was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
         
-        // Send to parent window
-        if (window.parent !== window) {
-            window.parent.postMessage(event, '*');
-        }
+        this.logInput('undo');
+        this.history.redo.push(this.createHistorySnapshot());
+        this.restoreHistorySnapshot(this.history.undo.pop());
+        this.state.undos++;
         
-        // Log for debugging
-        console.log('📊 Event:', eventName, eventData);
+        this.sendEvent('move_undone', { moves: this.state.moves, undos: this.state.undos });
+        this.updateHistoryControls();
+        return true;
     }
     
-    // Generate human-readable output string
-    generateOutputString(success) {
-        const emoji = success ? '🎉' : '😔';
-        const status = success ? 'Completed' : 'Failed';
-        const difficultyNames = ['Easy', 'Medium', 'Hard', 'Expert'];
+    /**
+     * Replay the last undone move
+     * @returns {boolean} Whether a move was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
         
-        let output = `${emoji} ${this.config.gameName} - ${status}\n`;
-        output += `📊 Difficulty: ${difficultyNames[this.config.difficulty - 1]}\n`;
-        output += `⭐ Score: ${this.state.score}\n`;
-        output += `🎯 Moves: ${this.state.moves}\n`;
+        this.logInput('redo');
+        this.history.undo.push(this.createHistorySnapshot());
+        this.restoreHistorySnapshot(this.history.redo.pop());
+        this.state.redos++;
         
-        if (this.state.mistakes > 0) {
-            output += `❌ Mistakes: ${this.state.mistakes}\n`;
-        }
+        this.sendEvent('move_redone', { moves: this.state.moves, redos: this.state.redos });
+        this.updateHistoryControls();
+        return true;
+    }
+    
+    restoreHistorySnapshot(snapshot) {
+        this.state.score = snapshot.state.score;
+        this.state.moves = snapshot.state.moves;
+        this.restoreGameState(snapshot.gameData);
+    }
+    
+    /**
+     * Override this method in child class to put a captured state back on the board
+     * @param {Object} gameData - Data previously returned by captureGameState()
+     */
+    restoreGameState(gameData) {}
+    
+    /**
+     * Wire undo/redo buttons; they are hidden when undoLimit is 0
+     * and disabled whenever there is nothing to undo/redo
+     * @param {HTMLElement} undoButton
+     * @param {HTMLElement} redoButton
+     */
+    bindHistoryControls(undoButton, redoButton) {
+        this.historyButtons = { undo: undoButton, redo: redoButton };
         
-        if (this.state.timeElapsed) {
-            output += `⏱️ Time: ${this.formatTime(this.state.timeElapsed)}\n`;
-        }
+        undoButton.addEventListener('click', () => this.undo());
+        redoButton.addEventListener('click', () => this.redo());
         
-        if (this.state.hintsUsed > 0) {
-            output += `💡 Hints used: ${this.state.hintsUsed}\n`;
+        if (this.config.undoLimit === 0) {
+            undoButton.style.display = 'none';
+            redoButton.style.display = 'none';
         }
         
-        return output;
+        this.updateHistoryControls();
     }
     
-    // Rating system
-    getRating(performance) {
-        if (performance >= 95) return 'S';
-        if (performance >= 85) return 'A';
-        if (performance >= 75) return 'B';
-        if (performance >= 60) return 'C';
-        if (performance >= 40) return 'D';
-        return 'F';
+    updateHistoryControls() {
+        if (!this.historyButtons) return;
+        this.historyButtons.undo.disabled = !this.canUndo();
+        this.historyButtons.redo.disabled = !this.canRedo();
     }
     
-    // Utility methods (to be overridden by specific games)
-    getOptimalScore() { return null; }
-    isOptimalSolution() { return false; }
-    checkAchievements() { return []; }
-    getGameSpecificData() { return {}; }
-    
-    // Helpers
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+    // Score deducted for undos, following penaltyEnabled
+    getUndoPenalty() {
+        return this.state.undos * this.scoring.spec.penalties.undo;
     }
     
-    handleExit() {
-        if (this.state.status === 'playing') {
-            if (confirm('Exit game? Progress will be lost.')) {
-                this.end(false);
-            }
-        } else {
-            this.tg.close();
+    // ============================================
+    // SCORING
+    // ============================================
+    
+    /**
+     * Scoring rules for this launch: the game's spec, then the bot's override.
+     * undoPenalty / penaltyEnabled keep working and feed penalties.undo.
+     * @param {Object} gameSpec - Spec passed by the game to the constructor
+     * @returns {ScoringEngine}
+     */
+    createScoring(gameSpec) {
+        const override = this.config.scoring;
+        if (override && override.penalties && override.penalties.undo !== undefined) {
+            this.config.undoPenalty = override.penalties.undo;
+        }
+        const undo = { penalties: { undo: this.config.penaltyEnabled ? this.config.undoPenalty : 0 } };
+        
+        try {
+            return new ScoringEngine(gameSpec, override, undo);
+        } catch (e) {
+            console.error('❌ Scoring override rejected, using game defaults:', e);
+            this.config.scoring = null;
+            return new ScoringEngine(gameSpec, undo);
         }
     }
     
-    handleThemeChange() {
-        // Update game theme based on Telegram theme
-        const theme = this.tg.themeParams;
+    /**
+     * Turn the round's counters into the final score. Call from gameOver()
+     * after stopClock(); end() calls it for rounds that skip gameOver().
+     * Only the first call of a round counts, the score it leaves is already final.
+     * @param {Object} metrics - Values for the spec's bonuses, e.g. { highestTile: 512 }
+     * @returns {number} Final score
+     */
+    applyScoring(metrics = {}) {
+        if (this.scoreBreakdown) return this.state.score;
+        
+        const { score, breakdown } = this.scoring.evaluate({
+            points: this.state.score,
+            moves: this.state.moves,
+            par: this.getOptimalMoves(),
+            timeLimit: this.config.timeLimit,
+            timeElapsed: this.state.timeElapsed,
+            mistakes: this.state.mistakes,
+            hintsUsed: this.state.hintsUsed,
+            undos: this.state.undos,
+            metrics
+        });
+        
+        this.state.score = score;
+        this.scoreBreakdown = breakdown;
+        return score;
+    }
+    
+    // ============================================
+    // CLOCK
+    // ============================================
+    
+    /**
+     * Override this method in child class to render the clock
+     * (called every tick while the round is running)
+     * @param {GameClock} clock
+     */
+    onClockTick(clock) {}
+    
+    handleTimeWarning(secondsLeft) {
+        if (this.config.hapticsEnabled) {
+            this.tg.HapticFeedback.notificationOccurred('warning');
+        }
+        this.sendEvent('time_warning', { secondsLeft });
+        this.onTimeWarning(secondsLeft);
+    }
+    
+    /**
+     * Override this method in child class to react to a warning threshold
+     * @param {number} secondsLeft - Threshold from config.timeWarnings
+     */
+    onTimeWarning(secondsLeft) {}
+    
+    // Countdown reached zero; games with their own time-up flow override this
+    onTimeUp() {
+        if (typeof this.gameOver === 'function') {
+            this.gameOver(false);
+        } else {
+            this.end(false);
+        }
+    }
+    
+    /**
+     * Give (positive) or take (negative) time, e.g. +10s for a match
+     * @param {number} seconds
+     * @param {string} reason - Reported with the time_adjusted event
+     */
+    addTime(seconds, reason = '') {
+        if (this.state.status !== 'playing') return;
+        this.clock.addTime(seconds);
+        this.sendEvent('time_adjusted', { seconds, reason });
+    }
+    
+    // Whole seconds of play, pauses excluded
+    getTimeElapsed() {
+        return Math.floor(this.clock.getElapsedMs() / 1000);
+    }
+    
+    // Whole seconds left on the countdown, null without a time limit
+    getTimeRemaining() {
+        const remaining = this.clock.getRemainingMs();
+        return remaining === null ? null : Math.ceil(remaining / 1000);
+    }
+    
+    // ============================================
+    // MOVE LOG & REPLAY
+    // ============================================
+    
+    /**
+     * Record a player input. Call from each input handler once the input
+     * is accepted, with arguments that applyInput() can feed back in.
+     * @param {string} type - Input type (e.g. 'tower', 'slide', 'toggle', 'swipe', 'flip')
+     * @param {...*} args - Input arguments
+     */
+    logInput(type, ...args) {
+        if (this.state.status !== 'playing') return;
+        this.moveLog.push([Math.round(this.clock.getElapsedMs()), type, ...args]);
+    }
+    
+    /**
+     * Override this method in child class to re-apply a logged input
+     * @param {string} type - Input type passed to logInput()
+     * @param {Array} args - Input arguments passed to logInput()
+     */
+    applyInput(type, args) {}
+    
+    /**
+     * Re-apply a logged [time, type, ...args] entry
+     * @param {Array} input
+     */
+    dispatchInput(input) {
+        const [, type, ...args] = input;
+        
+        if (type === 'undo') this.undo();
+        else if (type === 'redo') this.redo();
+        else this.applyInput(type, args);
+    }
+    
+    /**
+     * Everything needed to reproduce the current round (see move-log.js)
+     * @returns {Object} Replay data
+     */
+    getReplayData() {
+        return {
+            g: this.config.gameId,
+            s: this.config.seed,
+            r: this.round,
+            d: this.config.difficulty,
+            h: this.config.hintsCount,
+            u: this.config.undoLimit,
+            t: this.config.timeLimit,
+            p: this.scoring.spec.penalties.undo,
+            k: this.config.scoring,
+            c: this.config.custom,
+            i: this.moveLog
+        };
+    }
+    
+    getReplayCode() {
+        return MoveLog.encode(this.getReplayData());
+    }
+    
+    /**
+     * Restart a given round from its initial board.
+     * Games with a different restart flow can override this.
+     * @param {number} round - Round number (see resetRandom)
+     */
+    restartRound(round) {
+        document.querySelectorAll('.modal.show').forEach(modal => modal.classList.remove('show'));
+        this.round = round - 1;
+        if (typeof this.restart === 'function') {
+            this.restart();
+        } else {
+            this.initGame();
+        }
+    }
+    
+    restartReplay() {
+        this.restartRound(this.replay.r);
+    }
+    
+    /**
+     * Whether the round plays itself: a replay, or a game's own demo mode.
+     * Such rounds are never saved, reported or counted.
+     * @returns {boolean}
+     */
+    isSpectated() {
+        return !!this.replay;
+    }
+    
+    // ============================================
+    // PAUSE / RESUME & SAVED SESSIONS
+    // ============================================
+    
+    // Pause when the app goes to the background, resume when it's back
+    bindPauseEvents() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+            else this.resume();
+        });
+        this.tg.onEvent('deactivated', () => this.pause());
+        this.tg.onEvent('activated', () => this.resume());
+    }
+    
+    /**
+     * Freeze the round: stop the game timer, block input and save the
+     * session so a relaunch with the same sessionId can continue it
+     */
+    pause() {
+        if (this.state.status !== 'playing' || this.isSpectated()) return;
+        
+        // Settling first: a pending move can still win or lose the round
+        this.onPause();
+        if (this.state.status !== 'playing') return;
+        
+        this.state.status = 'paused';
+        this.clock.pause();
+        this.saveSession();
+        this.saveAchievements();
+        
+        this.sendEvent('game_paused', { moves: this.state.moves });
+        console.log('⏸️ Game paused');
+    }
+    
+    resume() {
+        if (this.state.status !== 'paused') return;
+        
+        this.state.status = 'playing';
+        this.clock.resume();
+        
+        this.sendEvent('game_resumed', { moves: this.state.moves });
+        console.log('▶️ Game resumed');
+    }
+    
+    /**
+     * Override this method in child class to settle pending animations
+     * or timers before the session is saved. The round is still playing,
+     * so a settled move may end it.
+     */
+    onPause() {}
+    
+    // Storage key for the saved session (CloudStorage allows [A-Za-z0-9_-], up to 128 chars)
+    getSessionKey() {
+        return `session_${this.config.gameId}_${this.config.sessionId}`
+            .replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 128);
+    }
+    
+    /**
+     * Save the running round. The move log plus seed and round rebuild it
+     * exactly; state and board are kept to check the rebuild against.
+     */
+    saveSession() {
+        if (!this.config.sessionId || this.isSpectated()) return;
+        
+        this.storage.setItem(this.getSessionKey(), JSON.stringify({
+            gameId: this.config.gameId,
+            sessionId: this.config.sessionId,
+            seed: this.config.seed,
+            round: this.round,
+            elapsed: Math.round(this.clock.getElapsedMs()),
+            timeAdjustment: this.clock.getAdjustmentMs(),
+            state: {
+                score: this.state.score,
+                moves: this.state.moves,
+                mistakes: this.state.mistakes,
+                hintsUsed: this.state.hintsUsed
+            },
+            board: this.captureGameState(),
+            moveLog: this.moveLog,
+            achievements: this.roundAchievements,
+            savedAt: Date.now()
+        }));
+    }
+    
+    clearSavedSession() {
+        if (!this.config.sessionId) return;
+        this.storage.removeItem(this.getSessionKey());
+    }
+    
+    // Look for a saved run of this session and continue it once the game is set up
+    loadSavedSession() {
+        if (!this.config.sessionId || this.isSpectated()) return;
+        
+        this.storage.getItem(this.getSessionKey(), (value) => {
+            if (!value) return;
+            try {
+                const saved = JSON.parse(value);
+                setTimeout(() => this.restoreSession(saved));
+            } catch (e) {
+                console.warn('⚠️ Unreadable saved session, starting fresh');
+                this.clearSavedSession();
+            }
+        });
+    }
+    
+    /**
+     * Rebuild a saved round by replaying its inputs on a fresh board
+     * @param {Object} saved - Data written by saveSession()
+     * @returns {boolean} Whether the session was restored
+     */
+    restoreSession(saved) {
+        if (saved.gameId !== this.config.gameId || saved.seed !== this.config.seed ||
+            Date.now() - saved.savedAt > this.config.sessionMaxAge) {
+            this.clearSavedSession();
+            return false;
+        }
+        
+        // The player already started over while the saved session was loading
+        if (this.state.status !== 'playing' || this.moveLog.length > 0) return false;
+        
+        // Progress from these inputs was counted before the pause
+        const hapticsEnabled = this.config.hapticsEnabled;
+        this.config.hapticsEnabled = false;
+        this.restoringSession = true;
+        this.restartRound(saved.round);
+        saved.moveLog.forEach(input => this.dispatchInput(input));
+        this.onPause(); // settle what the last input left pending, it was settled before saving too
+        this.restoringSession = false;
+        this.config.hapticsEnabled = hapticsEnabled;
+        
+        this.moveLog = saved.moveLog;
+        this.roundAchievements = saved.achievements || [];
+        this.clock.restore(saved.elapsed, saved.timeAdjustment);
+        this.clock.resume();
+        
+        if (this.state.moves !== saved.state.moves || this.state.score !== saved.state.score) {
+            console.warn('⚠️ Restored session differs from the saved one:', saved.state, this.state);
+        }
+        
+        this.sendEvent('session_resumed', { round: this.round, moves: this.state.moves });
+        console.log(`🔁 Resumed session: round ${this.round}, ${saved.moveLog.length} inputs`);
+        return true;
+    }
+    
+    // ============================================
+    // PLAYER STATS
+    // ============================================
+    
+    getStatsKey() {
+        return PlayerStats.key(this.config.gameId, this.config.difficulty, this.config.userId, this.getStatsVariant());
+    }
+    
+    /**
+     * Override this method in child class when launch parameters change the
+     * game enough that its bests shouldn't mix with the default rules'
+     * @returns {string} Short tag like '4pegs-cyclic', '' for the default rules
+     */
+    getStatsVariant() {
+        return '';
+    }
+    
+    // Local copy right away; the cloud copy replaces it once loaded if it has more play
+    loadStats() {
+        const key = this.getStatsKey();
+        this.playerStats = PlayerStats.parse(localStorage.getItem(key));
+        
+        this.storage.getItem(key, (value) => {
+            this.playerStats = PlayerStats.newer(this.playerStats, PlayerStats.parse(value));
+        }, { preferCloud: true });
+    }
+    
+    /**
+     * Add the finished round to the player's stats
+     * @param {boolean} success
+     * @returns {string[]} Personal bests the round beat: 'score', 'time', 'moves'
+     */
+    recordStats(success) {
+        const { stats, personalBests } = PlayerStats.record(this.playerStats, {
+            success: success,
+            score: this.state.score,
+            time: this.state.timeElapsed,
+            moves: this.state.moves
+        });
+        
+        this.playerStats = stats;
+        this.storage.setItem(this.getStatsKey(), PlayerStats.serialize(stats));
+        if (personalBests.length) console.log(`🏅 New personal best: ${personalBests.join(', ')}`);
+        return personalBests;
+    }
+    
+    // Open the stats screen, e.g. from a button in the result modal
+    showStats() {
+        this.statsView.show();
+    }
+    
+    // ============================================
+    // ACHIEVEMENTS
+    // ============================================
+    
+    /**
+     * Register the game's achievements, see achievements.js for the format.
+     * Should be called by child class in constructor
+     * @param {Object[]} definitions
+     */
+    defineAchievements(definitions) {
+        this.achievements.define(definitions);
+    }
+    
+    // Achievements are per game, across difficulties
+    getAchievementsKey() {
+        return `achievements_${this.config.gameId}_${this.config.userId === null ? 'anon' : this.config.userId}`
+            .replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 128);
+    }
+    
+    loadAchievements() {
+        const key = this.getAchievementsKey();
+        this.achievements.progress = AchievementRegistry.parse(localStorage.getItem(key));
+        
+        this.storage.getItem(key, (value) => {
+            this.achievements.progress = AchievementRegistry.merge(
+                this.achievements.progress, AchievementRegistry.parse(value));
+        }, { preferCloud: true });
+    }
+    
+    saveAchievements() {
+        if (this.isSpectated()) return;
+        this.storage.setItem(this.getAchievementsKey(), this.achievements.serialize());
+    }
+    
+    /**
+     * Add to a progress counter mid-game, e.g. this.progressAchievement('merges', 2)
+     * @param {string} counter
+     * @param {number} amount
+     */
+    progressAchievement(counter, amount = 1) {
+        if (this.isSpectated() || this.restoringSession) return;
+        this.announceAchievements(this.achievements.count(counter, amount));
+    }
+    
+    // Check when() conditions mid-game, e.g. after a move that might qualify
+    updateAchievements() {
+        if (this.isSpectated() || this.restoringSession) return;
+        this.announceAchievements(this.achievements.evaluate({ finished: false, success: false }, this));
+    }
+    
+    // Count the finished round and check every condition against its outcome
+    finishAchievements(success) {
+        if (this.isSpectated()) return;
+        
+        const unlocked = this.achievements.count('played');
+        if (success) unlocked.push(...this.achievements.count('won'));
+        unlocked.push(...this.achievements.evaluate({ finished: true, success }, this));
+        this.announceAchievements(unlocked);
+        
+        // Counters change every round even without an unlock
+        if (unlocked.length === 0) this.saveAchievements();
+    }
+    
+    announceAchievements(unlocked) {
+        if (unlocked.length === 0) return;
+        
+        unlocked.forEach(definition => {
+            this.roundAchievements.push(definition.id);
+            this.statsView.showAchievement(definition);
+            console.log(`🏅 Achievement unlocked: ${definition.id}`);
+        });
+        this.saveAchievements();
+        this.sendEvent('achievements_unlocked', { achievements: unlocked.map(definition => definition.id) });
+    }
+    
+    // Achievement name and description in the player's language
+    describeAchievement(definition) {
+        return {
+            name: this.t(`achievement_${definition.id}`, { count: definition.goal }, definition.name),
+            description: this.t(`achievement_${definition.id}_desc`, { count: definition.goal }, definition.description)
+        };
+    }
+    
+    // ============================================
+    // GAME LIFECYCLE METHODS
+    // ============================================
+    
+    // Start game
+    start() {
+        this.state.status = 'playing';
+        this.state.startTime = Date.now();
+        this.state.endTime = null;
+        this.resultSent = false;
+        this.scoreBreakdown = null;
+        this.roundResult = null;
+        this.roundAchievements = [];
+        this.state.undos = 0;
+        this.state.redos = 0;
+        this.moveLog = [];
+        this.clearHistory();
+        this.clock.start();
+        if (!this.playerDataLoaded && !this.isSpectated()) this.loadPlayerData();
+        
+        if (this.replay && !this.replayPlayer) {
+            // Let the child constructor finish before taking over input
+            setTimeout(() => { this.replayPlayer = new ReplayPlayer(this, this.replay); });
+        }
+        this.sendEvent('game_started', {
+            difficulty: this.config.difficulty,
+            timeLimit: this.config.timeLimit,
+            language: this.config.language
+        });
+        console.log('🎮 Game started');
+    }
+    
+    /**
+     * Freeze the round time. Call before computing a time-based score so the
+     * score and the reported timeElapsed agree; end() calls it as well.
+     */
+    stopClock() {
+        if (this.state.endTime) return;
+        this.clock.stop();
+        this.state.endTime = Date.now();
+        this.state.timeElapsed = this.getTimeElapsed();
+    }
+    
+    /**
+     * End the round: score, count and report it. Only the first call of a round
+     * does anything; later ones (e.g. the clock running out during the win
+     * animation) get the same result back.
+     * @param {boolean} success
+     * @returns {Object} Result of the round
+     */
+    end(success) {
+        if (this.roundResult) return this.roundResult;
+        
+        this.state.status = success ? 'completed' : 'failed';
+        this.stopClock();
+        this.clearSavedSession();
+        if (!this.scoreBreakdown) this.applyScoring();
+        this.updateHistoryControls();
+        
+        // Replays and demos aren't the player's own play; never report or count them
+        this.personalBests = this.isSpectated() ? [] : this.recordStats(success);
+        this.finishAchievements(success);
+        const result = this.generateResult(success);
+        
+        if (!this.isSpectated()) {
+            localStorage.setItem('game_replay_latest', result.replay);
+            this.sendResult(result);
+        }
+        if (this.personalBests.length) this.statsView.showBanner(this.personalBests);
+        this.roundResult = result;
+        return result;
+    }
+    
+    // Generate standardized result object
+    generateResult(success) {
+        const optimalScore = this.getOptimalScore();
+        const performance = optimalScore ? Math.min(100, (this.state.score / optimalScore) * 100) : 100;
+        
+        return {
+            // Result metadata
+            sessionId: this.config.sessionId,
+            gameId: this.config.gameId,
+            gameName: this.config.gameName,
+            userId: this.config.userId,
+            timestamp: new Date().toISOString(),
+            seed: this.config.seed,
+            round: this.round,
+            
+            // Game outcome
+            success: success,
+            status: this.state.status,
+            
+            // Performance metrics
+            score: this.state.score,
+            finalScore: Math.floor(this.state.score * this.config.scoreModifier),
+            moves: this.state.moves,
+            mistakes: this.state.mistakes,
+            hintsUsed: this.state.hintsUsed,
+            undos: this.state.undos,
+            redos: this.state.redos,
+            undoPenalty: this.getUndoPenalty(),
+            scoreBreakdown: this.scoreBreakdown,
+            
+            // Time metrics
+            timeElapsed: this.state.timeElapsed,
+            timeLimit: this.config.timeLimit,
+            timeRemaining: this.getTimeRemaining(),
+            timeAdjustment: this.clock.getAdjustmentMs() / 1000,
+            
+            // Performance rating
+            performance: Math.min(100, Math.max(0, performance)),
+            rating: this.getRating(performance),
+            
+            // Configuration used
+            difficulty: this.config.difficulty,
+            language: this.config.language,
+            modifiers: {
+                timeModifier: this.config.timeModifier,
+                scoreModifier: this.config.scoreModifier,
+                hintsEnabled: this.config.hintsEnabled,
+                penaltyEnabled: this.config.penaltyEnabled,
+                undoLimit: this.config.undoLimit
+            },
+            
+            // Additional context
+            optimal: this.isOptimalSolution(),
+            achievements: this.roundAchievements,
+            personalBests: this.personalBests,
+            
+            // Milestone data
+            milestones: this.getMilestonesSummary(),
+            
+            // Encoded move log, open with ?replay=<code>; result-verifier.js recomputes the score from it
+            replay: this.getReplayCode(),
+            
+            // Signed launch data so the bot can check who played
+            initData: this.tg.initData || '',
+            
+            // Game-specific data
+            gameData: this.getGameSpecificData(),
+            
+            // Output string for bot display
+            outputString: this.generateOutputString(success)
+        };
+    }
+    
+    /**
+     * Whether sendData() can deliver results. It only works for Mini Apps
+     * opened from a keyboard button; inline-mode and attachment-menu launches
+     * carry a query_id and have to be answered by the bot instead.
+     */
+    canSendData() {
+        return !!this.tg && typeof this.tg.sendData === 'function' &&
+            !(this.tg.initDataUnsafe && this.tg.initDataUnsafe.query_id);
+    }
+    
+    /**
+     * Send the result to the bot, once per round.
+     * The payload is size-checked by ResultEncoder; when sendData() isn't
+     * available or fails, the payload goes to the outbox and, if a
+     * resultEndpoint is configured, is posted there.
+     * @param {Object} result - Result from generateResult()
+     * @returns {boolean} Whether the result was handed to Telegram
+     */
+    sendResult(result) {
+        if (this.resultSent) {
+            console.warn('⚠️ Result already sent for this round');
+            return false;
+        }
+        
+        // Validate result has required fields
+        if (!result.sessionId || !result.gameId) {
+            console.error('❌ Invalid result: missing sessionId or gameId');
+            return false;
+        }
+        
+        let payload;
+        try {
+            payload = ResultEncoder.encode(result);
+        } catch (e) {
+            console.error('❌ Error encoding result:', e);
+            this.saveFailedResult(result, e);
+            return false;
+        }
+        
+        const dropped = ResultEncoder.droppedFields(result, ResultEncoder.decode(payload));
+        console.log(`📏 Result size: ${ResultEncoder.byteLength(payload)} bytes (limit: ${ResultEncoder.MAX_BYTES})`);
+        if (dropped.length > 0) {
+            console.warn('✂️ Dropped to fit:', dropped.join(', '));
+        }
+        
+        localStorage.setItem('game_result_latest', payload);
+        
+        if (!this.canSendData()) {
+            console.warn('⚠️ Telegram.WebApp.sendData() not available, result queued');
+            this.outbox.add(result, payload, 'sendData unavailable');
+            this.sendEvent('result_queued', { sessionId: result.sessionId });
+            if (this.outbox.endpoint) this.outbox.flush();
+            return false;
+        }
+        
+        try {
+            // Telegram closes the WebApp by itself after receiving data
+            this.tg.sendData(payload);
+            this.resultSent = true;
+            localStorage.setItem('last_send_time', new Date().toISOString());
+            console.log('✅ Data sent! Telegram will close WebApp automatically.');
+            return true;
+        } catch (e) {
+            console.error('❌ Error sending result:', e);
+            this.outbox.add(result, payload, e.message);
+            this.sendEvent('result_queued', { sessionId: result.sessionId });
+            return false;
+        }
+    }
+    
+    // Keep a result that can't be encoded, for manual recovery
+    saveFailedResult(result, error) {
+        localStorage.setItem(`game_result_error_${Date.now()}`, JSON.stringify({
+            error: error.message,
+            result: {
+                sessionId: result.sessionId,
+                gameId: result.gameId,
+                score: result.score
+            }
+        }));
+    }
+    
+    /**
+     * Offer to resend results left over from earlier launches.
+     * With a resultEndpoint all of them are posted; otherwise the oldest one
+     * goes through sendData(), which closes the Mini App.
+     */
+    offerOutboxResubmit() {
+        const entries = this.outbox.getEntries();
+        if (entries.length === 0) return;
+        
+        const viaEndpoint = !!this.outbox.endpoint;
+        const next = this.outbox.nextForSendData();
+        if (!viaEndpoint && (!next || !this.canSendData())) {
+            console.log(`📮 ${entries.length} unsent result(s) waiting, no way to send them from here`);
+            return;
+        }
+        
+        const message = viaEndpoint ?
+            this.t('outbox_confirm', { count: entries.length }) :
+            this.t('outbox_confirm_close', { date: new Date(next.queuedAt).toLocaleString(this.getLanguage()) });
+        
+        this.confirm(message, async (ok) => {
+            if (!ok) return;
+            
+            if (viaEndpoint) {
+                const sent = await this.outbox.flush();
+                this.tg.showAlert(this.t('outbox_sent', { sent, count: entries.length }));
+            } else {
+                this.outbox.sendNext(this.tg);
+            }
+        });
+    }
+    
+    // Telegram confirm popup, with a browser fallback for older clients
+    confirm(message, callback) {
+        if (typeof this.tg.showConfirm === 'function') {
+            this.tg.showConfirm(message, callback);
+        } else {
+            callback(window.confirm(message));
+        }
+    }
+    
+    // Send analytics events
+    sendEvent(eventName, eventData = {}) {
+        const event = {
+            type: 'GAME_EVENT',
+            event: eventName,
+            gameId: this.config.gameId,
+            sessionId: this.config.sessionId,
+            timestamp: Date.now(),
+            data: eventData
+        };
+        
+        // Send to parent window
+        if (window.parent !== window) {
+            window.parent.postMessage(event, '*');
+        }
+        
+        // Log for debugging
+        console.log('📊 Event:', eventName, eventData);
+    }
+    
+    // Generate human-readable output string
+    generateOutputString(success) {
+        const emoji = success ? '🎉' : '😔';
+        const status = this.t(success ? 'result_completed' : 'result_failed');
+        const gameName = this.t('game_name', {}, this.config.gameName);
+        
+        let output = `${emoji} ${gameName} - ${status}\n`;
+        output += this.t('output_difficulty', { value: this.t(`difficulty_${this.config.difficulty}`) }) + '\n';
+        output += this.t('output_score', { value: this.state.score }) + '\n';
+        if (Object.keys(this.scoreBreakdown || {}).length > 1) {
+            output += `🧮 ${this.formatScoreBreakdown()}\n`;
+        }
+        output += this.t('output_moves', { value: this.state.moves }) + '\n';
+        
+        if (this.state.mistakes > 0) {
+            output += this.t('output_mistakes', { value: this.state.mistakes }) + '\n';
+        }
+        
+        if (this.state.timeElapsed) {
+            output += this.t('output_time', { value: this.formatTime(this.state.timeElapsed) }) + '\n';
+        }
+        
+        if (this.state.hintsUsed > 0) {
+            output += this.t('output_hints', { value: this.state.hintsUsed }) + '\n';
+        }
+        
+        if (this.state.undos > 0) {
+            output += this.t('output_undos', { value: this.state.undos }) + '\n';
+        }
+        
+        return output;
+    }
+    
+    // Why the score is what it is, e.g. "base 833 + time bonus 120 − mistakes 50"
+    formatScoreBreakdown() {
+        return Object.entries(this.scoreBreakdown || {}).map(([name, points], i) => {
+            const sign = points < 0 ? '− ' : i > 0 ? '+ ' : '';
+            return `${sign}${this.t(`score_${name}`, {}, name)} ${Math.abs(points)}`;
+        }).join(' ');
+    }
+    
+    // Rating system, bands come from the scoring spec
+    getRating(performance) {
+        return this.scoring.rate({
+            performance: performance,
+            moves: this.state.moves,
+            par: this.getOptimalMoves()
+        });
+    }
+    
+    // Utility methods (to be overridden by specific games)
+    getOptimalScore() { return null; }
+    getOptimalMoves() { return null; }
+    isOptimalSolution() { return false; }
+    getGameSpecificData() { return {}; }
+    
+    // Helpers
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return mins > 0 ?
+            this.t('time_minutes_seconds', { m: mins, s: secs }) :
+            this.t('time_seconds', { s: secs });
+    }
+    
+    handleExit() {
+        if (this.state.status === 'playing') {
+            if (confirm(this.t('exit_confirm'))) {
+                this.end(false);
+            }
+        } else {
+            this.tg.close();
+        }
+    }
+    
+    handleThemeChange() {
+        // Update game theme based on Telegram theme
+        const theme = this.tg.themeParams;
         document.documentElement.style.setProperty('--tg-bg', theme.bg_color);
         document.documentElement.style.setProperty('--tg-text', theme.text_color);
         console.log('🎨 Theme changed');
     }
 }
 
+// ============================================
+// 🎬 REPLAY PLAYER
+// ============================================
+
+/**
+ * Plays a recorded move log back on a live game instance with
+ * play/pause/seek controls. Board input is blocked while replaying.
+ */
+class ReplayPlayer {
+    constructor(game, replay) {
+        this.game = game;
+        this.inputs = replay.i;
+        this.position = 0;           // number of inputs applied
+        this.speed = 1;
+        this.timer = null;
+        
+        // Gaps longer than this are shortened so idle time doesn't stall playback
+        this.maxDelay = 1500;
+        // Quick inputs still get a beat so each move can be seen
+        this.minDelay = 150;
+        
+        const app = document.getElementById('app');
+        if (app) app.style.pointerEvents = 'none';
+        
+        this.render();
+        console.log(`🎬 Replay loaded: ${this.inputs.length} inputs`);
+    }
+    
+    render() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .replay-bar {
+                position: fixed; left: 0; right: 0; bottom: 0; z-index: 3000;
+                display: flex; align-items: center; gap: 8px; padding: 10px 12px;
+                background: rgba(26, 32, 44, 0.95); color: white;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+            }
+            .replay-bar button {
+                padding: 8px 12px; border: none; border-radius: 8px; box-shadow: none;
+                background: #667eea; color: white; font-weight: bold; cursor: pointer;
+            }
+            .replay-bar input[type=range] { flex: 1; }
+            .replay-bar .replay-position { min-width: 60px; text-align: right; }
+        `;
+        document.head.appendChild(style);
+        
+        this.bar = document.createElement('div');
+        this.bar.className = 'replay-bar';
+        this.bar.innerHTML = `
+            <span>🎬</span>
+            <button data-action="restart">⏮</button>
+            <button data-action="toggle">▶️</button>
+            <input type="range" min="0" max="${this.inputs.length}" value="0">
+            <span class="replay-position"></span>
+            <button data-action="speed">1x</button>
+        `;
+        document.body.appendChild(this.bar);
+        
+        this.toggleBtn = this.bar.querySelector('[data-action="toggle"]');
+        this.speedBtn = this.bar.querySelector('[data-action="speed"]');
+        this.slider = this.bar.querySelector('input[type=range]');
+        this.positionLabel = this.bar.querySelector('.replay-position');
+        
+        this.bar.querySelector('[data-action="restart"]').addEventListener('click', () => this.seek(0));
+        this.toggleBtn.addEventListener('click', () => this.timer ? this.pause() : this.play());
+        this.speedBtn.addEventListener('click', () => this.cycleSpeed());
+        this.slider.addEventListener('input', () => this.seek(parseInt(this.slider.value)));
+        
+        this.updateControls();
+    }
+    
+    updateControls() {
+        this.slider.value = this.position;
+        this.positionLabel.textContent = `${this.position} / ${this.inputs.length}`;
+        this.toggleBtn.textContent = this.timer ? '⏸' : '▶️';
+        this.speedBtn.textContent = `${this.speed}x`;
+    }
+    
+    play() {
+        if (this.position >= this.inputs.length) this.seek(0);
+        this.scheduleNext();
+        this.updateControls();
+    }
+    
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateControls();
+    }
+    
+    cycleSpeed() {
+        this.speed = this.speed >= 4 ? 1 : this.speed * 2;
+        this.updateControls();
+    }
+    
+    scheduleNext() {
+        if (this.position >= this.inputs.length) {
+            this.pause();
+            return;
+        }
+        
+        const previousTime = this.position > 0 ? this.inputs[this.position - 1][0] : 0;
+        const gap = this.inputs[this.position][0] - previousTime;
+        const delay = Math.min(this.maxDelay, Math.max(this.minDelay, gap)) / this.speed;
+        
+        this.timer = setTimeout(() => {
+            this.step();
+            this.scheduleNext();
+        }, delay);
+    }
+    
+    step() {
+        this.game.dispatchInput(this.inputs[this.position]);
+        this.position++;
+        this.updateControls();
+    }
+    
+    /**
+     * Jump to the position after `index` inputs: rebuild the initial
+     * board from the seed and apply inputs without delay
+     * @param {number} index
+     */
+    seek(index) {
+        const wasPlaying = !!this.timer;
+        this.pause();
+        
+        this.game.restartReplay();
+        this.position = 0;
+        while (this.position < Math.min(index, this.inputs.length)) {
+            this.step();
+        }
+        
+        if (wasPlaying) this.play();
+        this.updateControls();
+    }
+}
+
+// ============================================
+// 📊 STATS VIEW
+// ============================================
+
+/**
+ * Personal-best and achievement toasts, and the stats screen of a game,
+ * built from its playerStats and achievements. All sit above the game's own modals.
+ */
+class StatsView {
+    constructor(game) {
+        this.game = game;
+        this.overlay = null;
+        this.toasts = null;
+        
+        // How long a toast stays up
+        this.toastDuration = 3500;
+    }
+    
+    addStyle() {
+        if (document.getElementById('stats-view-style')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'stats-view-style';
+        style.textContent = `
+            .stats-toasts {
+                position: fixed; top: 16px; left: 50%; z-index: 3500; transform: translateX(-50%);
+                display: flex; flex-direction: column; align-items: center; gap: 8px;
+                width: max-content; max-width: calc(100% - 32px); pointer-events: none;
+            }
+            .stats-banner {
+                transform: translateY(-40px); opacity: 0; transition: all 0.3s ease;
+                padding: 12px 20px; border-radius: 14px; text-align: center;
+                background: linear-gradient(135deg, #f6d365, #fda085); color: #2d3748;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25);
+            }
+            .stats-banner.show { transform: translateY(0); opacity: 1; }
+            .stats-banner strong { display: block; font-size: 16px; }
+            .stats-banner span { font-size: 13px; }
+            .stats-achievement { display: flex; gap: 10px; align-items: center; padding: 6px 0; font-size: 14px; }
+            .stats-achievement.locked { opacity: 0.45; }
+            .stats-achievement .icon { font-size: 24px; }
+            .stats-achievement small { display: block; font-size: 12px; opacity: 0.8; }
+            .stats-achievement .progress { margin-inline-start: auto; font-weight: bold; }
+            .stats-overlay {
+                position: fixed; inset: 0; z-index: 3400; display: flex;
+                align-items: center; justify-content: center; padding: 16px;
+                background: rgba(0, 0, 0, 0.6);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+            .stats-card {
+                width: 100%; max-width: 360px; max-height: 90vh; overflow-y: auto;
+                padding: 20px; border-radius: 16px;
+                background: var(--tg-bg, #ffffff); color: var(--tg-text, #2d3748);
+            }
+            .stats-card h3 { margin: 0 0 12px; font-size: 18px; text-align: center; }
+            .stats-card h4 { margin: 16px 0 8px; font-size: 15px; }
+            .stats-row { display: flex; justify-content: space-between; padding: 4px 0; font-size: 14px; }
+            .stats-row span:last-child { font-weight: bold; }
+            .stats-card ol { margin: 0; padding-inline-start: 20px; font-size: 14px; }
+            .stats-card button {
+                width: 100%; margin-top: 16px; padding: 12px; border: none; border-radius: 10px;
+                background: #667eea; color: white; font-weight: bold; font-size: 15px; cursor: pointer;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+    
+    // Value of a personal best as the player reads it
+    formatBest(field, value) {
+        return field === 'time' ? this.game.formatTime(value) : String(value);
+    }
+    
+    /**
+     * Slide a toast in at the top; several stack up
+     * @param {string} title
+     * @param {string} text
+     */
+    toast(title, text) {
+        this.addStyle();
+        if (!this.toasts || !this.toasts.isConnected) {
+            this.toasts = document.createElement('div');
+            this.toasts.className = 'stats-toasts';
+            document.body.appendChild(this.toasts);
+        }
+        
+        const toast = document.createElement('div');
+        toast.className = 'stats-banner';
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        const details = document.createElement('span');
+        details.textContent = text;
+        toast.append(heading, details);
+        this.toasts.appendChild(toast);
+        
+        // Let the element render hidden first so it slides in
+        requestAnimationFrame(() => toast.classList.add('show'));
+        setTimeout(() => {
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 300);
+        }, this.toastDuration);
+        
+        if (this.game.config.hapticsEnabled) {
+            this.game.tg.HapticFeedback.notificationOccurred('success');
+        }
+    }
+    
+    /**
+     * @param {string[]} personalBests - Fields from PlayerStats.record()
+     */
+    showBanner(personalBests) {
+        const labels = { score: 'stats_best_score', time: 'stats_best_time', moves: 'stats_fewest_moves' };
+        const best = this.game.playerStats.best;
+        
+        this.toast(this.game.t('new_personal_best'), personalBests
+            .map(field => `${this.game.t(labels[field])}: ${this.formatBest(field, best[field])}`)
+            .join(' · '));
+    }
+    
+    /**
+     * @param {Object} definition - Achievement definition, see achievements.js
+     */
+    showAchievement(definition) {
+        const { name } = this.game.describeAchievement(definition);
+        this.toast(this.game.t('achievement_unlocked'), `${definition.icon} ${name}`);
+    }
+    
+    show() {
+        this.addStyle();
+        this.hide();
+        
+        const game = this.game;
+        const summary = PlayerStats.summary(game.playerStats);
+        const dash = (value, format = String) => value === null ? '—' : format(value);
+        const time = (value) => game.formatTime(value);
+        
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'stats-overlay';
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.hide();
+        });
+        
+        const card = document.createElement('div');
+        card.className = 'stats-card';
+        this.overlay.appendChild(card);
+        
+        const title = document.createElement('h3');
+        title.textContent = game.t('stats_title', {
+            difficulty: game.t(`difficulty_${game.config.difficulty}`, {}, String(game.config.difficulty))
+        });
+        card.appendChild(title);
+        
+        const rows = summary.played === 0 ? [['stats_empty', '']] : [
+            ['stats_played', summary.played],
+            ['stats_win_rate', `${summary.winRate}%`],
+            ['stats_streak', summary.streak],
+            ['stats_best_streak', summary.bestStreak],
+            ['stats_day_streak', summary.dayStreak],
+            ['stats_best_score', dash(summary.bestScore)],
+            ['stats_best_time', dash(summary.bestTime, time)],
+            ['stats_fewest_moves', dash(summary.fewestMoves)],
+            ['stats_average_score', dash(summary.averageScore)],
+            ['stats_average_time', dash(summary.averageTime, time)],
+            ['stats_average_moves', dash(summary.averageMoves)]
+        ];
+        rows.forEach(([key, value]) => {
+            const row = document.createElement('div');
+            row.className = 'stats-row';
+            const label = document.createElement('span');
+            label.textContent = game.t(key);
+            const figure = document.createElement('span');
+            figure.textContent = value;
+            row.append(label, figure);
+            card.appendChild(row);
+        });
+        
+        if (summary.top.length) {
+            const heading = document.createElement('h4');
+            heading.textContent = game.t('stats_top');
+            const list = document.createElement('ol');
+            summary.top.forEach(run => {
+                const item = document.createElement('li');
+                item.textContent = game.t('stats_run', { score: run.score, time: time(run.time), count: run.moves });
+                list.appendChild(item);
+            });
+            card.append(heading, list);
+        }
+        
+        const achievements = game.achievements.list();
+        if (achievements.length) {
+            const heading = document.createElement('h4');
+            heading.textContent = game.t('stats_achievements');
+            card.appendChild(heading);
+            
+            achievements.forEach(achievement => {
+                const { name, description } = game.describeAchievement(achievement);
+                const row = document.createElement('div');
+                row.className = `stats-achievement${achievement.unlocked ? '' : ' locked'}`;
+                
+                const icon = document.createElement('span');
+                icon.className = 'icon';
+                icon.textContent = achievement.icon;
+                const text = document.createElement('span');
+                text.textContent = name;
+                const small = document.createElement('small');
+                small.textContent = description;
+                text.appendChild(small);
+                const progress = document.createElement('span');
+                progress.className = 'progress';
+                progress.textContent = achievement.unlocked ? '✅' :
+                    achievement.goal !== null ? `${achievement.value}/${achievement.goal}` : '';
+                
+                row.append(icon, text, progress);
+                card.appendChild(row);
+            });
+        }
+        
+        const close = document.createElement('button');
+        close.textContent = game.t('close');
+        close.addEventListener('click', () => this.hide());
+        card.appendChild(close);
+        
+        document.body.appendChild(this.overlay);
+    }
+    
+    hide() {
+        if (!this.overlay) return;
+        this.overlay.remove();
+        this.overlay = null;
+    }
+}
+
+// ============================================
+// 💾 GAME STORAGE
+// ============================================
+
+/**
+ * Key-value storage that follows the player across devices through
+ * Telegram CloudStorage where available, with localStorage as the local copy.
+ * CloudStorage values are limited to 4096 characters; larger values stay local.
+ */
+class GameStorage {
+    constructor(tg) {
+        this.cloud = tg && tg.CloudStorage ? tg.CloudStorage : null;
+        this.maxCloudValueLength = 4096;
+    }
+    
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+        if (!this.cloud) return;
+        
+        if (value.length <= this.maxCloudValueLength) {
+            this.callCloud('setItem', key, value, (error) => {
+                if (error) console.warn(`⚠️ CloudStorage.setItem(${key}) failed:`, error);
+            });
+        } else {
+            // Don't leave an older copy behind that would win on another device
+            this.callCloud('removeItem', key);
+        }
+    }
+    
+    /**
+     * Read a value: the local copy first, then CloudStorage
+     * @param {string} key
+     * @param {Function} callback - Called with the value or null (synchronously when found locally)
+     * @param {Object} options
+     * @param {boolean} options.preferCloud - Ask CloudStorage first, for values another
+     *   device may have updated; the local copy is the fallback
+     */
+    getItem(key, callback, { preferCloud = false } = {}) {
+        const local = localStorage.getItem(key);
+        if (!this.cloud || (local !== null && !preferCloud)) {
+            callback(local);
+            return;
+        }
+        
+        const asked = this.callCloud('getItem', key, (error, value) => callback(error || !value ? local : value));
+        if (!asked) callback(local);
+    }
+    
+    removeItem(key) {
+        localStorage.removeItem(key);
+        if (this.cloud) this.callCloud('removeItem', key);
+    }
+    
+    // CloudStorage throws on invalid keys and on clients older than 6.9
+    callCloud(method, ...args) {
+        try {
+            this.cloud[method](...args);
+            return true;
+        } catch (e) {
+            console.warn(`⚠️ CloudStorage.${method} unavailable:`, e.message);
+            return false;
+        }
+    }
+}
+
+// ============================================
+// 📮 RESULT OUTBOX
+// ============================================
+
+/**
+ * Persistent queue of results that didn't reach the bot.
+ * One entry per sessionId (newest wins); entries expire after maxAge.
+ */
+class ResultOutbox {
+    constructor({ endpoint = null, maxAge = 3 * 24 * 60 * 60 * 1000, storageKey = 'game_outbox' } = {}) {
+        this.endpoint = endpoint;
+        this.maxAge = maxAge;
+        this.storageKey = storageKey;
+        
+        this.importLegacyEntries();
+        
+        // Flaky mobile connections: retry as soon as the device is back online
+        if (this.endpoint) {
+            window.addEventListener('online', () => this.flush());
+        }
+    }
+    
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    save(entries) {
+        if (entries.length === 0) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        }
+    }
+    
+    /**
+     * Unexpired entries, oldest first
+     * @returns {Array} [{ sessionId, gameId, payload, queuedAt, attempts, lastError, rejected }]
+     */
+    getEntries() {
+        const now = Date.now();
+        const entries = this.load();
+        const fresh = entries.filter(entry => now - entry.queuedAt < this.maxAge);
+        
+        if (fresh.length !== entries.length) {
+            console.log(`📮 Dropped ${entries.length - fresh.length} expired result(s)`);
+            this.save(fresh);
+        }
+        return fresh.sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+    
+    /**
+     * Queue a result payload, replacing any entry for the same session
+     * @param {Object} result - Result (only sessionId and gameId are read)
+     * @param {string} payload - Encoded payload from ResultEncoder
+     * @param {string} error - Why it wasn't sent
+     * @param {number} queuedAt - Queue time, for imported entries
+     */
+    add(result, payload, error = null, queuedAt = Date.now()) {
+        const entries = this.getEntries().filter(entry => entry.sessionId !== result.sessionId);
+        entries.push({
+            sessionId: result.sessionId,
+            gameId: result.gameId,
+            payload: payload,
+            queuedAt: queuedAt,
+            attempts: 0,
+            lastError: error
+        });
+        this.save(entries);
+        console.log(`📮 Result queued (${entries.length} waiting)`);
+    }
+    
+    remove(sessionId) {
+        this.save(this.load().filter(entry => entry.sessionId !== sessionId));
+    }
+    
+    // Count a failed send on the entry; `changes` adds flags like rejected
+    markFailed(sessionId, error, changes = {}) {
+        this.save(this.load().map(entry => entry.sessionId === sessionId ?
+            { ...entry, ...changes, attempts: entry.attempts + 1, lastError: error } : entry));
+    }
+    
+    /**
+     * Move results saved by older versions (game_result_<sessionId> keys) into
+     * the outbox. They predate ResultEncoder, so each is re-encoded to fit
+     * sendData; one that can't be stays where it is. game_result_error_<ts>
+     * keys only hold a result's session, game and score (see saveFailedResult),
+     * not a payload the bot could accept, so they stay for manual recovery too.
+     */
+    importLegacyEntries() {
+        Object.keys(localStorage).forEach(key => {
+            if (!key.startsWith('game_result_') || key === 'game_result_latest') return;
+            if (key.startsWith('game_result_error_')) return;
+            
+            let result;
+            try {
+                result = ResultEncoder.decode(localStorage.getItem(key));
+            } catch (e) {
+                console.warn(`⚠️ Skipping unreadable ${key}`);
+                localStorage.removeItem(key);
+                return;
+            }
+            
+            if (result && result.sessionId) {
+                let payload;
+                try {
+                    payload = ResultEncoder.encode(result);
+                } catch (e) {
+                    console.warn(`⚠️ Leaving ${key} for manual recovery:`, e.message);
+                    return;
+                }
+                this.add(result, payload, null, Date.parse(result.timestamp) || Date.now());
+            }
+            localStorage.removeItem(key);
+        });
+    }
+    
+    /**
+     * Post every queued result to the endpoint
+     * @returns {Promise<number>} Number of results delivered
+     */
+    async flush() {
+        if (!this.endpoint) return 0;
+        
+        let sent = 0;
+        for (const entry of this.getEntries()) {
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: entry.payload
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                this.remove(entry.sessionId);
+                sent++;
+            } catch (e) {
+                console.warn(`⚠️ Resend of ${entry.sessionId} failed:`, e.message);
+                this.markFailed(entry.sessionId, e.message);
+            }
+        }
+        
+        console.log(`📮 Sent ${sent} queued result(s)`);
+        return sent;
+    }
+    
+    /**
+     * Oldest entry sendData() hasn't rejected yet
+     * @returns {Object|null}
+     */
+    nextForSendData() {
+        return this.getEntries().find(entry => !entry.rejected) || null;
+    }
+    
+    /**
+     * Send the oldest queued result through sendData().
+     * Telegram accepts one payload per launch, so only one goes out. A payload
+     * sendData() rejects would be rejected on every launch, so it is marked and
+     * skipped from then on (the endpoint, if any, still gets it) and the entries
+     * behind it aren't held up.
+     * @param {Object} tg - Telegram.WebApp
+     * @returns {boolean} Whether a result was handed to Telegram
+     */
+    sendNext(tg) {
+        const entry = this.nextForSendData();
+        if (!entry) return false;
+        
+        try {
+            tg.sendData(entry.payload);
+            this.remove(entry.sessionId);
+            return true;
+        } catch (e) {
+            console.error('❌ Resend failed:', e);
+            this.markFailed(entry.sessionId, e.message, { rejected: true });
+            return false;
+        }
+    }
+}
+
 // ============================================
 // 🔧 DEVELOPMENT HELPERS - REGISTERED IMMEDIATELY
 // ============================================
@@ -576,7 +2412,7 @@ window.inspectLastResult = function() {
     const result = localStorage.getItem('game_result_latest');
     if (result) {
         try {
-            const parsed = JSON.parse(result);
+            const parsed = ResultEncoder.decode(result);
             console.log('%c📋 Last Game Result:', 'background: #4CAF50; color: white; padding: 8px; font-size: 14px; font-weight: bold;');
             console.table(parsed);
             console.log('Full object:', parsed);
@@ -605,10 +2441,10 @@ window.inspectTelegramData = function() {
     
     if (data) {
         try {
-            const parsed = JSON.parse(data);
+            const parsed = ResultEncoder.decode(data);
             console.log('%c📤 Last Telegram sendData:', 'background: #2481cc; color: white; padding: 8px; font-size: 14px; font-weight: bold;');
             console.log('📅 Sent at:', time);
-            console.log('📏 Size:', data.length, 'bytes (limit: 4096)');
+            console.log('📏 Size:', ResultEncoder.byteLength(data), `bytes (limit: ${ResultEncoder.MAX_BYTES})`);
             console.table(parsed);
             console.log('Full object:', parsed);
             console.log('%c💡 Returned object assigned to window.telegramData', 'background: #2196F3; color: white; padding: 4px;');
@@ -629,8 +2465,12 @@ window.inspectTelegramData = function() {
 window.clearGameData = function() {
     const keys = Object.keys(localStorage).filter(k => 
         k.includes('game_result') || 
+        k.includes('game_outbox') || 
         k.includes('telegram_sendData') ||
-        k.includes('mock_telegram')
+        k.includes('mock_telegram') ||
+        k.startsWith('stats_') ||
+        k.startsWith('achievements_') ||
+        k.startsWith('mock_cloud_storage_')
     );
     
     if (keys.length === 0) {
@@ -649,7 +2489,7 @@ window.clearGameData = function() {
 // Helper 4: Show all localStorage game data
 window.showAllGameData = function() {
     const keys = Object.keys(localStorage).filter(k => 
-        k.includes('game') || k.includes('telegram')
+        k.includes('game') || k.includes('telegram') || k.startsWith('stats_') || k.startsWith('achievements_')
     );
     
     if (keys.length === 0) {
@@ -670,6 +2510,19 @@ window.showAllGameData = function() {
     });
 };
 
+// Helper 5: Build a replay link for the last finished game
+window.getReplayLink = function() {
+    const code = localStorage.getItem('game_replay_latest');
+    if (!code) {
+        console.log('ℹ️ No replay recorded yet');
+        return null;
+    }
+    
+    const link = `${window.location.origin}${window.location.pathname}?replay=${code}`;
+    console.log('%c🎬 Replay link:', 'background: #2196F3; color: white; padding: 4px;', link);
+    return link;
+};
+
 // Show available commands on load
 (function() {
     const isDev = window.location.hostname === 'localhost' || 
@@ -683,13 +2536,18 @@ window.showAllGameData = function() {
         console.log('  📤 inspectTelegramData()   - View data sent to Telegram');
         console.log('  🗑️ clearGameData()         - Clear all game data');
         console.log('  💾 showAllGameData()       - Show all localStorage game data');
+        console.log('  🎬 getReplayLink()         - Replay link for the last game');
         console.log('  🎮 game                    - Access current game instance');
         console.log('');
     }
 })();
 
-// Make class available globally
+// Make classes available globally
 window.TelegramMiniGame = TelegramMiniGame;
+window.ReplayPlayer = ReplayPlayer;
+window.StatsView = StatsView;
+window.ResultOutbox = ResultOutbox;
+window.GameStorage = GameStorage;
 
 console.log('✅ TelegramMiniGame framework loaded');
 console.log('✅ Helper functions registered globally');
\ No newline at end of file
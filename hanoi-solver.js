@@ -0,0 +1,427 @@
+// hanoi-solver.js - Optimal Tower of Hanoi solver for 3-6 pegs and puzzle variants (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    /**
+     * Map every disk to the tower it sits on
+     * @param {number[][]} towers - Towers as bottom-to-top arrays of disk sizes
+     * @returns {number[]} positions, where positions[disk] is the tower index
+     */
+    function getPositions(towers) {
+        const positions = [];
+        towers.forEach((tower, index) => {
+            tower.forEach(disk => { positions[disk] = index; });
+        });
+        return positions;
+    }
+
+    function countDisks(towers) {
+        return towers.reduce((sum, tower) => sum + tower.length, 0);
+    }
+
+    // The third tower that is neither `a` nor `b`
+    function otherTower(a, b) {
+        return 3 - a - b;
+    }
+
+    /**
+     * Fewest moves needed to gather disks 1..k on `target`.
+     * If disk k is already there it can stay; otherwise the k-1 smaller disks
+     * go to the spare tower, disk k moves once, and the k-1 disks follow it
+     * in 2^(k-1) - 1 moves.
+     */
+    function distance(positions, k, target) {
+        if (k === 0) return 0;
+        if (positions[k] === target) return distance(positions, k - 1, target);
+
+        const spare = otherTower(positions[k], target);
+        return distance(positions, k - 1, spare) + Math.pow(2, k - 1);
+    }
+
+    // First move on the shortest path that gathers disks 1..k on `target`
+    function firstMove(positions, k, target) {
+        if (k === 0) return null;
+        if (positions[k] === target) return firstMove(positions, k - 1, target);
+
+        const spare = otherTower(positions[k], target);
+        return firstMove(positions, k - 1, spare) ||
+            { from: positions[k], to: target, disk: k };
+    }
+
+    // ============================================
+    // 4+ PEGS: BREADTH-FIRST DISTANCE TABLE
+    // ============================================
+
+    // Cached tables keyed by "disks:pegs:target"
+    const distanceTables = {};
+
+    // A position is encoded as the base-`pegs` number sum(positions[d] * pegs^(d-1))
+    function encode(positions, numDisks, pegs) {
+        let code = 0;
+        for (let disk = numDisks; disk >= 1; disk--) {
+            code = code * pegs + positions[disk];
+        }
+        return code;
+    }
+
+    // All legal moves from an encoded position as { from, to, disk, code }
+    function neighbours(code, numDisks, pegs) {
+        const tops = new Array(pegs).fill(Infinity);
+        const weights = [];
+        let rest = code;
+
+        for (let disk = 1; disk <= numDisks; disk++) {
+            const peg = rest % pegs;
+            rest = Math.floor(rest / pegs);
+            weights[disk] = Math.pow(pegs, disk - 1);
+            if (tops[peg] === Infinity) tops[peg] = disk;
+        }
+
+        const moves = [];
+        for (let from = 0; from < pegs; from++) {
+            const disk = tops[from];
+            if (disk === Infinity) continue;
+
+            for (let to = 0; to < pegs; to++) {
+                if (to === from || tops[to] < disk) continue;
+                moves.push({ from, to, disk, code: code + (to - from) * weights[disk] });
+            }
+        }
+        return moves;
+    }
+
+    // Distance of every position to the solved one; moves are reversible,
+    // so a single search outward from the goal covers all positions
+    function getDistanceTable(numDisks, pegs, target) {
+        const key = `${numDisks}:${pegs}:${target}`;
+        if (distanceTables[key]) return distanceTables[key];
+
+        const table = new Uint8Array(Math.pow(pegs, numDisks)).fill(255);
+        const goal = encode(new Array(numDisks + 1).fill(target), numDisks, pegs);
+        let frontier = [goal];
+        table[goal] = 0;
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(code => {
+                neighbours(code, numDisks, pegs).forEach(move => {
+                    if (table[move.code] === 255) {
+                        table[move.code] = depth;
+                        next.push(move.code);
+                    }
+                });
+            });
+            frontier = next;
+        }
+
+        distanceTables[key] = table;
+        return table;
+    }
+
+    // ============================================
+    // FRAME-STEWART
+    // ============================================
+
+    const frameStewartCache = {};
+
+    /**
+     * Frame-Stewart move count: park k disks using all pegs, move the rest
+     * with one peg fewer, then bring the k disks back on top
+     */
+    function frameStewart(numDisks, pegs) {
+        if (numDisks === 0) return 0;
+        if (numDisks === 1) return 1;
+        if (pegs === 3) return Math.pow(2, numDisks) - 1;
+
+        const key = `${numDisks}:${pegs}`;
+        if (frameStewartCache[key] === undefined) {
+            let best = Infinity;
+            for (let k = 1; k < numDisks; k++) {
+                best = Math.min(best, 2 * frameStewart(k, pegs) + frameStewart(numDisks - k, pegs - 1));
+            }
+            frameStewartCache[key] = best;
+        }
+        return frameStewartCache[key];
+    }
+
+    // ============================================
+    // VARIANT RULES
+    // ============================================
+
+    /**
+     * Rule sets. `allows(from, to, pegs)` restricts move direction;
+     * `sizeOf(disk)` maps a disk id to the size used for stacking.
+     * Bicolor disks come in pairs: odd ids are colour A, even ids colour B,
+     * and equal sizes may rest on each other.
+     */
+    const RULES = {
+        classic: {
+            allows: () => true,
+            sizeOf: disk => disk,
+            allowEqual: false
+        },
+        // Every move goes one peg clockwise
+        cyclic: {
+            allows: (from, to, pegs) => to === (from + 1) % pegs,
+            sizeOf: disk => disk,
+            allowEqual: false
+        },
+        // Only neighbouring pegs, so the first and last never trade directly
+        adjacent: {
+            allows: (from, to) => Math.abs(from - to) === 1,
+            sizeOf: disk => disk,
+            allowEqual: false
+        },
+        bicolor: {
+            allows: () => true,
+            sizeOf: disk => Math.ceil(disk / 2),
+            allowEqual: true
+        }
+    };
+
+    function getRules(variant) {
+        return RULES[variant] || RULES.classic;
+    }
+
+    function topOf(tower) {
+        return tower[tower.length - 1];
+    }
+
+    // Size check only; direction is checked separately so searches can reverse it
+    function fitsOn(towers, from, to, rules) {
+        if (towers[from].length === 0) return false;
+        if (towers[to].length === 0) return true;
+
+        const moving = rules.sizeOf(topOf(towers[from]));
+        const below = rules.sizeOf(topOf(towers[to]));
+        return rules.allowEqual ? moving <= below : moving < below;
+    }
+
+    function stateKey(towers) {
+        return towers.map(tower => tower.join('.')).join('|');
+    }
+
+    function applyMove(towers, from, to) {
+        const next = towers.map(tower => tower.slice());
+        next[to].push(next[from].pop());
+        return next;
+    }
+
+    function resolveOptions(towers, options = {}) {
+        return {
+            target: options.target === undefined ? towers.length - 1 : options.target,
+            variant: RULES[options.variant] ? options.variant : 'classic'
+        };
+    }
+
+    /**
+     * Solved position for the given towers: every disk stacked on the target.
+     * Bicolor splits the colours instead - colour B on the target and
+     * colour A on the peg before it.
+     */
+    function goalTowers(towers, { target, variant }) {
+        const disks = [].concat(...towers).sort((a, b) => b - a);
+        const goal = towers.map(() => []);
+
+        if (variant === 'bicolor') {
+            const partner = (target + towers.length - 1) % towers.length;
+            disks.forEach(disk => goal[disk % 2 === 1 ? partner : target].push(disk));
+        } else {
+            goal[target] = disks;
+        }
+        return goal;
+    }
+
+    // Cached tables keyed by variant, pegs and goal position
+    const variantTables = {};
+
+    /**
+     * Distance of every position that can reach the goal, found by searching
+     * outward from the goal with each move direction reversed (needed for
+     * the one-way cyclic rule)
+     */
+    function getVariantTable(goal, variant) {
+        const key = `${variant}:${goal.length}:${stateKey(goal)}`;
+        if (variantTables[key]) return variantTables[key];
+
+        const rules = getRules(variant);
+        const pegs = goal.length;
+        const table = new Map([[stateKey(goal), 0]]);
+        let frontier = [goal];
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(towers => {
+                for (let from = 0; from < pegs; from++) {
+                    for (let to = 0; to < pegs; to++) {
+                        if (from === to || !rules.allows(to, from, pegs)) continue;
+                        if (!fitsOn(towers, from, to, rules)) continue;
+
+                        const previous = applyMove(towers, from, to);
+                        const previousKey = stateKey(previous);
+                        if (!table.has(previousKey)) {
+                            table.set(previousKey, depth);
+                            next.push(previous);
+                        }
+                    }
+                }
+            });
+            frontier = next;
+        }
+
+        variantTables[key] = table;
+        return table;
+    }
+
+    // Classic rules have closed-form (3 pegs) or integer-indexed (4+ pegs) solvers
+    function usesClassicSolver(variant) {
+        return variant === 'classic';
+    }
+
+    const HanoiSolver = {
+        MIN_PEGS: 3,
+        MAX_PEGS: 6,
+        VARIANTS: ['classic', 'cyclic', 'adjacent', 'bicolor'],
+
+        /**
+         * Whether the top disk of `from` may move onto `to` under a variant's rules
+         * @param {number[][]} towers - Current towers (bottom-to-top)
+         * @param {number} from - Source tower index
+         * @param {number} to - Target tower index
+         * @param {string} variant - Rule set (default: 'classic')
+         * @returns {boolean}
+         */
+        canMove(towers, from, to, variant = 'classic') {
+            const rules = getRules(variant);
+            return from !== to && rules.allows(from, to, towers.length) && fitsOn(towers, from, to, rules);
+        },
+
+        /**
+         * Size used for stacking (bicolor pairs share a size)
+         * @param {number} disk - Disk id
+         * @param {string} variant - Rule set (default: 'classic')
+         * @returns {number}
+         */
+        sizeOf(disk, variant = 'classic') {
+            return getRules(variant).sizeOf(disk);
+        },
+
+        /**
+         * Solved position for the disks currently on the board
+         * @param {number[][]} towers - Current towers (bottom-to-top)
+         * @param {Object} options - { target, variant }
+         * @returns {number[][]}
+         */
+        goalTowers(towers, options) {
+            return goalTowers(towers, resolveOptions(towers, options));
+        },
+
+        /**
+         * Whether the towers match the solved position
+         * @param {number[][]} towers - Current towers (bottom-to-top)
+         * @param {Object} options - { target, variant }
+         * @returns {boolean}
+         */
+        isSolved(towers, options) {
+            return stateKey(towers) === stateKey(this.goalTowers(towers, options));
+        },
+
+        /**
+         * Optimal move count from a full stack to the target tower
+         * @param {number} numDisks - Number of disks
+         * @param {number} pegs - Number of pegs (default: 3)
+         * @returns {number}
+         */
+        optimalMoves(numDisks, pegs = 3) {
+            return frameStewart(numDisks, pegs);
+        },
+
+        /**
+         * Number of moves still needed to reach the solved position
+         * @param {number[][]} towers - Current towers (bottom-to-top), one per peg
+         * @param {Object} options - { target (default: last tower), variant (default: 'classic') }
+         * @returns {number} Infinity if the goal cannot be reached
+         */
+        movesRemaining(towers, options) {
+            const { target, variant } = resolveOptions(towers, options);
+
+            if (!usesClassicSolver(variant)) {
+                const table = getVariantTable(goalTowers(towers, { target, variant }), variant);
+                const steps = table.get(stateKey(towers));
+                return steps === undefined ? Infinity : steps;
+            }
+
+            const positions = getPositions(towers);
+            const numDisks = countDisks(towers);
+
+            if (towers.length === 3) {
+                return distance(positions, numDisks, target);
+            }
+
+            const table = getDistanceTable(numDisks, towers.length, target);
+            return table[encode(positions, numDisks, towers.length)];
+        },
+
+        /**
+         * Next move on the shortest path to the solved position
+         * @param {number[][]} towers - Current towers (bottom-to-top), one per peg
+         * @param {Object} options - { target (default: last tower), variant (default: 'classic') }
+         * @returns {{from: number, to: number, disk: number}|null} null if solved or unreachable
+         */
+        nextMove(towers, options) {
+            const { target, variant } = resolveOptions(towers, options);
+
+            if (!usesClassicSolver(variant)) {
+                const table = getVariantTable(goalTowers(towers, { target, variant }), variant);
+                const steps = table.get(stateKey(towers));
+                if (!steps) return null;
+
+                for (let from = 0; from < towers.length; from++) {
+                    for (let to = 0; to < towers.length; to++) {
+                        if (!this.canMove(towers, from, to, variant)) continue;
+                        if (table.get(stateKey(applyMove(towers, from, to))) === steps - 1) {
+                            return { from, to, disk: topOf(towers[from]) };
+                        }
+                    }
+                }
+                return null;
+            }
+
+            const positions = getPositions(towers);
+            const numDisks = countDisks(towers);
+            const pegs = towers.length;
+
+            if (pegs === 3) {
+                return firstMove(positions, numDisks, target);
+            }
+
+            const table = getDistanceTable(numDisks, pegs, target);
+            const code = encode(positions, numDisks, pegs);
+            if (table[code] === 0) return null;
+
+            const move = neighbours(code, numDisks, pegs)
+                .find(candidate => table[candidate.code] === table[code] - 1);
+            return { from: move.from, to: move.to, disk: move.disk };
+        },
+
+        /**
+         * Hint for the current position: next move plus remaining distance
+         * @param {number[][]} towers - Current towers (bottom-to-top)
+         * @param {Object} options - { target, variant }
+         * @returns {{move: Object|null, movesRemaining: number}}
+         */
+        getHint(towers, options) {
+            return {
+                move: this.nextMove(towers, options),
+                movesRemaining: this.movesRemaining(towers, options)
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HanoiSolver;
+    } else {
+        root.HanoiSolver = HanoiSolver;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,122 @@
+// hanoi-verifier.js - Tower of Hanoi rules for result-verifier.js (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    const HanoiSolver = typeof module !== 'undefined' && module.exports ?
+        require('./hanoi-solver') : root.HanoiSolver;
+
+    // Disks per difficulty, and colour pairs per peg count for bicolor, keeping
+    // the search space small. hanoi.html reads both from here.
+    const DISKS = { 1: 3, 2: 4, 3: 5, 4: 6 };
+    const BICOLOR_MAX_PAIRS = { 3: 4, 4: 3 };
+    const VARIANTS = ['classic', 'cyclic', 'adjacent', 'bicolor', 'random'];
+
+    const HanoiVerifier = {
+        gameId: 'hanoi',
+        DISKS: DISKS,
+        BICOLOR_MAX_PAIRS: BICOLOR_MAX_PAIRS,
+
+        // Scoring spec of HanoiGame
+        scoring: {
+            base: 1000,
+            time: { perSecond: 10 },
+            penalties: { mistake: 50, hint: 100 },
+            ratings: { by: 'movesOverPar', bands: [['S', 1], ['A', 1.2], ['B', 1.5], ['C', 2], ['D', 3]] }
+        },
+
+        /**
+         * Set up the towers exactly like the HanoiGame constructor and initGame()
+         * @param {Object} data - Decoded replay data
+         * @param {SeededRandom} rng - Generator for the recorded round
+         * @param {ScoringEngine} scoring - Scoring rules of the round
+         */
+        create(data, rng, scoring) {
+            const custom = data.c || {};
+            const pegs = Math.min(HanoiSolver.MAX_PEGS,
+                Math.max(HanoiSolver.MIN_PEGS, Math.floor(custom.pegs) || 3));
+            const variant = VARIANTS.includes(custom.variant) ? custom.variant : 'classic';
+            // HanoiGame constructor: only random starts may aim at the first tower
+            const target = Math.floor(custom.target);
+            const firstTarget = variant === 'random' ? 1 : 2;
+            const options = {
+                target: target >= firstTarget && target <= pegs ? target - 1 : pegs - 1,
+                variant: variant === 'random' ? 'classic' : variant
+            };
+
+            let numDisks = DISKS[data.d] || DISKS[2];
+            if (variant === 'bicolor') {
+                numDisks = Math.min(BICOLOR_MAX_PAIRS[pegs] || 2, Math.max(2, numDisks - 2)) * 2;
+            }
+
+            let towers = Array.from({ length: pegs }, () => []);
+            if (variant === 'random') {
+                do {
+                    towers.forEach(tower => { tower.length = 0; });
+                    for (let disk = numDisks; disk >= 1; disk--) {
+                        towers[rng.nextInt(pegs)].push(disk);
+                    }
+                } while (HanoiSolver.isSolved(towers, options));
+            } else {
+                for (let disk = numDisks; disk >= 1; disk--) towers[0].push(disk);
+            }
+
+            const optimalMoves = variant === 'classic' ?
+                HanoiSolver.optimalMoves(numDisks, pegs) :
+                HanoiSolver.movesRemaining(towers, options);
+            let selected = null;
+
+            return {
+                state: { score: 0, moves: 0, mistakes: 0, hintsUsed: 0 },
+
+                // HanoiGame.selectTower() / useHint()
+                apply(type, args) {
+                    if (type === 'hint') {
+                        if (this.state.hintsUsed < data.h) this.state.hintsUsed++;
+                        selected = null;
+                        return false;
+                    }
+
+                    const index = args[0];
+                    if (type !== 'tower' || !towers[index]) return false;
+
+                    if (selected === null) {
+                        if (towers[index].length > 0) selected = index;
+                    } else if (selected === index) {
+                        selected = null;
+                    } else if (HanoiSolver.canMove(towers, selected, index, options.variant)) {
+                        towers[index].push(towers[selected].pop());
+                        selected = null;
+                        this.state.moves++;
+                        return true;
+                    } else {
+                        this.state.mistakes++;
+                    }
+                    return false;
+                },
+
+                capture() {
+                    return towers.map(tower => [...tower]);
+                },
+
+                restore(board) {
+                    towers = board.map(tower => [...tower]);
+                    selected = null;
+                },
+
+                getOutcome() {
+                    return HanoiSolver.isSolved(towers, options) ? 'won' : null;
+                },
+
+                // HanoiGame.getOptimalMoves()
+                par: optimalMoves
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HanoiVerifier;
+    } else {
+        (root.GameVerifiers = root.GameVerifiers || {}).hanoi = HanoiVerifier;
+    }
+})(typeof window !== 'undefined' ? window : this);
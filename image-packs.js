@@ -0,0 +1,298 @@
+// image-packs.js - Pictures for the sliding puzzle: bundled images, canvas patterns, gallery files
+//
+// A source names a picture:
+//   'bundled:mountains'  an image shipped in images/sliding/
+//   'pattern:mosaic'     drawn on a canvas from a seed, so every round can get its own
+//   'url:https://...'    any image URL (needs CORS to be cropped, shown as is otherwise)
+// Gallery files have no source name; fromFile() turns them into a picture directly.
+//
+// Every picture is cropped to its centre square and scaled to a whole number of
+// pixels per tile, so tiles cut the image exactly.
+
+(function(root) {
+    'use strict';
+
+    // Pixels per tile of a fitted picture
+    const TILE_PIXELS = 160;
+
+    const BUNDLED = {
+        mountains: { icon: '🏔️', name: 'Mountains', url: 'images/sliding/mountains.svg' },
+        ocean: { icon: '⛵', name: 'Ocean', url: 'images/sliding/ocean.svg' },
+        space: { icon: '🪐', name: 'Space', url: 'images/sliding/space.svg' }
+    };
+
+    // A colour that drifts across the picture, so no two tiles look alike
+    function hueAt(base, x, y, size) {
+        return (base + 140 * (x / size) + 80 * (y / size)) % 360;
+    }
+
+    const PATTERNS = {
+        mosaic: {
+            icon: '🔷',
+            name: 'Mosaic',
+            // Low-poly triangles over a jittered lattice
+            draw(ctx, size, random) {
+                const cells = 8;
+                const step = size / cells;
+                const base = random() * 360;
+                const points = [];
+                for (let y = 0; y <= cells; y++) {
+                    points[y] = [];
+                    for (let x = 0; x <= cells; x++) {
+                        const inside = x > 0 && x < cells && y > 0 && y < cells;
+                        const jitter = () => inside ? (random() - 0.5) * step * 0.8 : 0;
+                        points[y][x] = [x * step + jitter(), y * step + jitter()];
+                    }
+                }
+                const triangle = (a, b, c) => {
+                    const cx = (a[0] + b[0] + c[0]) / 3;
+                    const cy = (a[1] + b[1] + c[1]) / 3;
+                    ctx.fillStyle = `hsl(${hueAt(base, cx, cy, size)}, 70%, ${40 + random() * 30}%)`;
+                    ctx.beginPath();
+                    ctx.moveTo(...a);
+                    ctx.lineTo(...b);
+                    ctx.lineTo(...c);
+                    ctx.closePath();
+                    ctx.fill();
+                    ctx.stroke();
+                };
+                ctx.lineWidth = 1;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                for (let y = 0; y < cells; y++) {
+                    for (let x = 0; x < cells; x++) {
+                        const [a, b, c, d] = [points[y][x], points[y][x + 1], points[y + 1][x + 1], points[y + 1][x]];
+                        triangle(a, b, c);
+                        triangle(a, c, d);
+                    }
+                }
+            }
+        },
+
+        rings: {
+            icon: '🎯',
+            name: 'Rings',
+            draw(ctx, size, random) {
+                const base = random() * 360;
+                const cx = size * (0.3 + random() * 0.4);
+                const cy = size * (0.3 + random() * 0.4);
+                const width = size / 24;
+                for (let r = size * 1.5; r > 0; r -= width) {
+                    ctx.fillStyle = `hsl(${(base + r / 3) % 360}, 75%, ${r / width % 2 < 1 ? 55 : 35}%)`;
+                    ctx.beginPath();
+                    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                ctx.fillStyle = '#fff';
+                ctx.beginPath();
+                ctx.arc(cx, cy, width / 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        },
+
+        waves: {
+            icon: '〰️',
+            name: 'Waves',
+            draw(ctx, size, random) {
+                const base = random() * 360;
+                const bands = 10;
+                const amplitude = size / 20;
+                const frequency = 2 + random() * 3;
+                const phase = random() * Math.PI * 2;
+                for (let band = bands; band >= 0; band--) {
+                    const top = (band / bands) * size;
+                    ctx.fillStyle = `hsl(${(base + band * 18) % 360}, 70%, ${30 + band * 4}%)`;
+                    ctx.beginPath();
+                    ctx.moveTo(0, size);
+                    for (let x = 0; x <= size; x += size / 60) {
+                        ctx.lineTo(x, top + Math.sin(phase + band + (x / size) * frequency * Math.PI * 2) * amplitude);
+                    }
+                    ctx.lineTo(size, size);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+        },
+
+        sunburst: {
+            icon: '☀️',
+            name: 'Sunburst',
+            draw(ctx, size, random) {
+                const base = random() * 360;
+                const rays = 16 + Math.floor(random() * 12);
+                const cx = size * (0.25 + random() * 0.5);
+                const cy = size * (0.25 + random() * 0.5);
+                for (let i = 0; i < rays; i++) {
+                    const from = (i / rays) * Math.PI * 2;
+                    const to = ((i + 1) / rays) * Math.PI * 2;
+                    ctx.fillStyle = `hsl(${(base + i * (360 / rays)) % 360}, 80%, ${i % 2 ? 45 : 60}%)`;
+                    ctx.beginPath();
+                    ctx.moveTo(cx, cy);
+                    ctx.arc(cx, cy, size * 1.5, from, to);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+                const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, size / 4);
+                glow.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+                glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+                ctx.fillStyle = glow;
+                ctx.fillRect(0, 0, size, size);
+            }
+        }
+    };
+
+    function hashString(str) {
+        return root.SeededRandom ? root.SeededRandom.hashString(str) :
+            Array.from(str).reduce((hash, ch) => Math.imul(hash ^ ch.charCodeAt(0), 0x01000193) >>> 0, 0x811c9dc5);
+    }
+
+    /**
+     * @returns {Object|null} { canvas, ctx }, null where canvas isn't available
+     */
+    function createCanvas(size) {
+        if (typeof document === 'undefined') return null;
+        const canvas = document.createElement('canvas');
+        let ctx = null;
+        try {
+            ctx = canvas.getContext && canvas.getContext('2d');
+        } catch (e) {
+            ctx = null;
+        }
+        if (!ctx) return null;
+        canvas.width = size;
+        canvas.height = size;
+        return { canvas, ctx };
+    }
+
+    const ImagePacks = {
+        TILE_PIXELS: TILE_PIXELS,
+        BUNDLED: BUNDLED,
+        PATTERNS: PATTERNS,
+
+        /**
+         * Every named source, bundled images first
+         * @returns {Object[]} [{ source, icon, name }]
+         */
+        list() {
+            return Object.keys(BUNDLED).map(id => ({ source: `bundled:${id}`, icon: BUNDLED[id].icon, name: BUNDLED[id].name }))
+                .concat(Object.keys(PATTERNS).map(id => ({ source: `pattern:${id}`, icon: PATTERNS[id].icon, name: PATTERNS[id].name })));
+        },
+
+        /**
+         * A source chosen by a seed, for rounds that don't ask for one
+         * @param {string} seed
+         * @returns {string}
+         */
+        pick(seed) {
+            const sources = ImagePacks.list();
+            return sources[hashString(String(seed)) % sources.length].source;
+        },
+
+        /**
+         * Pixel size of a fitted picture for a grid
+         * @param {number} gridSize
+         * @returns {number}
+         */
+        pixelsFor(gridSize) {
+            return gridSize * TILE_PIXELS;
+        },
+
+        /**
+         * Draw a pattern
+         * @param {string} name - Key of PATTERNS
+         * @param {number} gridSize
+         * @param {Function} random - random() gives a float in [0, 1)
+         * @returns {string|null} PNG data URL, null without canvas or for unknown patterns
+         */
+        pattern(name, gridSize, random) {
+            const pattern = PATTERNS[name];
+            const surface = pattern && createCanvas(ImagePacks.pixelsFor(gridSize));
+            if (!surface) return null;
+            pattern.draw(surface.ctx, surface.canvas.width, random);
+            return surface.canvas.toDataURL('image/png');
+        },
+
+        /**
+         * @param {string} url
+         * @returns {Promise<HTMLImageElement>}
+         */
+        load(url) {
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                if (/^https?:/.test(url)) image.crossOrigin = 'anonymous';
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error(`Could not load image ${url}`));
+                image.src = url;
+            });
+        },
+
+        /**
+         * Crop an image to its centre square and scale it to the grid
+         * @param {HTMLImageElement} image
+         * @param {number} gridSize
+         * @returns {string|null} JPEG data URL, null without canvas or when the image
+         *   comes from another origin without CORS (the canvas can't be read then)
+         */
+        fit(image, gridSize) {
+            const surface = createCanvas(ImagePacks.pixelsFor(gridSize));
+            if (!surface) return null;
+
+            const width = image.naturalWidth || image.width;
+            const height = image.naturalHeight || image.height;
+            const side = Math.min(width, height);
+            if (!side) return null;
+
+            const size = surface.canvas.width;
+            surface.ctx.drawImage(image, (width - side) / 2, (height - side) / 2, side, side, 0, 0, size, size);
+            try {
+                return surface.canvas.toDataURL('image/jpeg', 0.9);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * A picture the player picked from their gallery
+         * @param {File} file
+         * @param {number} gridSize
+         * @returns {Promise<string>} Data URL of the fitted picture
+         */
+        fromFile(file, gridSize) {
+            if (!file || !/^image\//.test(file.type)) return Promise.reject(new Error('Not an image file'));
+            const url = URL.createObjectURL(file);
+            return ImagePacks.load(url)
+                .then(image => {
+                    const fitted = ImagePacks.fit(image, gridSize);
+                    if (!fitted) throw new Error('Could not read the image');
+                    return fitted;
+                })
+                .finally(() => URL.revokeObjectURL(url));
+        },
+
+        /**
+         * URL of a source's picture. Images that can't be fitted (no canvas, no CORS)
+         * are used as they are; background-size still scales them to the board.
+         * @param {string} source
+         * @param {number} gridSize
+         * @param {Function} random - For patterns
+         * @returns {Promise<string|null>} null for unknown sources and patterns without canvas
+         */
+        resolve(source, gridSize, random) {
+            const [kind, ...rest] = String(source).split(':');
+            const id = rest.join(':');
+
+            if (kind === 'pattern') return Promise.resolve(ImagePacks.pattern(id, gridSize, random));
+
+            const url = kind === 'bundled' ? (BUNDLED[id] && BUNDLED[id].url) : (kind === 'url' ? id : null);
+            if (!url) return Promise.resolve(null);
+            return ImagePacks.load(url)
+                .then(image => ImagePacks.fit(image, gridSize) || url)
+                .catch(() => url);
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ImagePacks;
+    } else {
+        root.ImagePacks = ImagePacks;
+    }
+})(typeof window !== 'undefined' ? window : this);
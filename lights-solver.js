@@ -0,0 +1,368 @@
+// lights-solver.js - Minimum-press Lights Out solver and board generator for all variants (DOM-free)
+//
+// A cell holds a state 0..k-1 (0 is off, classic Lights Out has k = 2) and a press
+// adds 1 to every cell of its pattern, mod k. Presses commute and k presses of one
+// cell change nothing, so a solution is how often each cell is pressed: a vector x
+// over GF(k) with A·x = -b, where column j of A is the pattern of cell j and b is
+// the board. Gaussian elimination gives one solution; every other one differs from
+// it by a combination of "quiet patterns" (press sets that change nothing). A classic
+// 3x3 board has a single solution, 4x4 has 16 and 5x5 has 4, so trying each of them
+// finds the true minimum cheaply. Some variants have far more (a 5x5 king board with
+// 7 colors has 7^9); fitSize() keeps grids to sizes where trying them all is cheap.
+// k must be prime for GF(k) to be a field.
+//
+// Options, shared by every function below:
+//   { wrap: false, king: false, states: 2 }
+//   wrap   - edges wrap around (a torus)
+//   king   - a press reaches all 8 neighbours, not just the orthogonal 4
+//   states - k, the number of states a cell cycles through
+
+(function(root) {
+    'use strict';
+
+    const STATES = [2, 3, 5, 7];
+    const DEFAULT_OPTIONS = { wrap: false, king: false, states: 2 };
+
+    // Most quiet-pattern combinations solve() will try, see fitSize()
+    const MAX_COMBINATIONS = 1 << 16;
+
+    // Boards generate() tries before giving up on the band
+    const MAX_ATTEMPTS = 200;
+
+    const ORTHOGONAL = [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]];
+    const KING = ORTHOGONAL.concat([[-1, -1], [-1, 1], [1, -1], [1, 1]]);
+
+    // Cached eliminations keyed by "size:wrap:king:states", see eliminate()
+    const systems = {};
+
+    function withDefaults(options) {
+        return Object.assign({}, DEFAULT_OPTIONS, options);
+    }
+
+    // Multiplicative inverse mod a prime, by search: k is at most 7
+    function inverse(value, k) {
+        for (let x = 1; x < k; x++) {
+            if ((value * x) % k === 1) return x;
+        }
+        throw new Error(`${value} has no inverse mod ${k}`);
+    }
+
+    /**
+     * Cells a press at (row, col) adds to. On a small torus an offset can land on
+     * the same cell twice; it is listed twice and counts twice.
+     * @param {number} size
+     * @param {number} row
+     * @param {number} col
+     * @param {Object} options
+     * @returns {number[][]} [row, col] pairs inside the grid
+     */
+    function affected(size, row, col, options = {}) {
+        const { wrap, king } = withDefaults(options);
+        const cells = [];
+        (king ? KING : ORTHOGONAL).forEach(([dr, dc]) => {
+            let r = row + dr;
+            let c = col + dc;
+            if (wrap) {
+                r = (r + size) % size;
+                c = (c + size) % size;
+            } else if (r < 0 || r >= size || c < 0 || c >= size) {
+                return;
+            }
+            cells.push([r, c]);
+        });
+        return cells;
+    }
+
+    /**
+     * Row-reduce A once per size and variant, recording the row operations so any
+     * board can be pushed through them later
+     * @param {number} size
+     * @param {Object} options
+     * @returns {Object} { pivots, free, reduced, ops } - pivots[i] is the column of
+     *   reduced row i, ops replays the elimination on a right-hand side
+     */
+    function eliminate(size, options) {
+        const key = `${size}:${options.wrap}:${options.king}:${options.states}`;
+        if (systems[key]) return systems[key];
+
+        const k = options.states;
+        const n = size * size;
+        const rows = Array.from({ length: n }, () => new Uint8Array(n));
+        for (let cell = 0; cell < n; cell++) {
+            affected(size, Math.floor(cell / size), cell % size, options).forEach(([r, c]) => {
+                rows[r * size + c][cell] = (rows[r * size + c][cell] + 1) % k;
+            });
+        }
+
+        const ops = [];
+        const pivots = [];
+        const free = [];
+        let rank = 0;
+
+        for (let col = 0; col < n; col++) {
+            let pivot = rank;
+            while (pivot < n && !rows[pivot][col]) pivot++;
+            if (pivot === n) {
+                free.push(col);
+                continue;
+            }
+
+            if (pivot !== rank) {
+                [rows[pivot], rows[rank]] = [rows[rank], rows[pivot]];
+                ops.push(['swap', pivot, rank]);
+            }
+            if (rows[rank][col] !== 1) {
+                const factor = inverse(rows[rank][col], k);
+                for (let j = 0; j < n; j++) rows[rank][j] = (rows[rank][j] * factor) % k;
+                ops.push(['scale', rank, rank, factor]);
+            }
+            for (let row = 0; row < n; row++) {
+                if (row === rank || !rows[row][col]) continue;
+                // row -= factor * pivot row
+                const factor = k - rows[row][col];
+                for (let j = 0; j < n; j++) rows[row][j] = (rows[row][j] + factor * rows[rank][j]) % k;
+                ops.push(['add', rank, row, factor]);
+            }
+            pivots.push(col);
+            rank++;
+        }
+
+        systems[key] = { pivots, free, reduced: rows, ops };
+        return systems[key];
+    }
+
+    /**
+     * Every press vector that clears the board, as a particular solution and the
+     * quiet patterns whose multiples can be added to it
+     * @returns {Object|null} { solution, quiet } as arrays of press counts, null if unsolvable
+     */
+    function solutionSpace(grid, options) {
+        const size = grid.length;
+        const n = size * size;
+        const k = options.states;
+        const { pivots, free, reduced, ops } = eliminate(size, options);
+
+        // Presses must cancel the board: A·x = -b
+        const b = new Uint8Array(n);
+        grid.forEach((row, r) => row.forEach((state, c) => { b[r * size + c] = (k - Number(state) % k) % k; }));
+        ops.forEach(([op, from, to, factor]) => {
+            if (op === 'swap') [b[from], b[to]] = [b[to], b[from]];
+            else if (op === 'scale') b[to] = (b[to] * factor) % k;
+            else b[to] = (b[to] + factor * b[from]) % k;
+        });
+
+        // Rows past the rank read 0 = b[i]
+        for (let row = pivots.length; row < n; row++) {
+            if (b[row]) return null;
+        }
+
+        const solution = new Uint8Array(n);
+        pivots.forEach((col, row) => { solution[col] = b[row]; });
+
+        const quiet = free.map(freeCol => {
+            const pattern = new Uint8Array(n);
+            pattern[freeCol] = 1;
+            pivots.forEach((col, row) => { pattern[col] = (k - reduced[row][freeCol]) % k; });
+            return pattern;
+        });
+
+        return { solution, quiet };
+    }
+
+    // Whether solve() can try every solution on boards of this size
+    function searchable(size, options) {
+        return Math.pow(options.states, eliminate(size, options).free.length) <= MAX_COMBINATIONS;
+    }
+
+    function total(vector) {
+        return vector.reduce((sum, count) => sum + count, 0);
+    }
+
+    const LightsSolver = {
+        STATES: STATES,
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+
+        affected: affected,
+
+        /**
+         * Options for a variant name: 'classic', or any of 'torus', 'king' and
+         * 'colors' joined by '+', e.g. 'torus+king'
+         * @param {string} variant
+         * @param {number} colors - States per cell for 'colors'; rounded down to a prime
+         * @returns {Object} { wrap, king, states }
+         */
+        parseVariant(variant, colors = 3) {
+            const parts = String(variant || 'classic').split('+');
+            const primes = STATES.filter(k => k > 2 && k <= colors);
+            return {
+                wrap: parts.includes('torus'),
+                king: parts.includes('king'),
+                states: parts.includes('colors') ? (primes[primes.length - 1] || 3) : 2
+            };
+        },
+
+        /**
+         * Grid size closest to `size` on which the variant makes a puzzle with a
+         * provable minimum. On a 3x3 torus with king moves every press reaches the
+         * whole board, so those start at 4x4. Sizes with too many solutions to try
+         * (5x5 torus or king boards with 5 or 7 colors) step down until one fits.
+         * @param {number} size
+         * @param {Object} options
+         * @returns {number}
+         * @throws {Error} If no size from the smallest up to `size` fits
+         */
+        fitSize(size, options = {}) {
+            options = withDefaults(options);
+            const smallest = options.wrap && options.king ? 4 : 3;
+            for (let fit = Math.max(size, smallest); fit >= smallest; fit--) {
+                if (searchable(fit, options)) return fit;
+            }
+            throw new Error(`No grid up to ${size}x${size} has a provable minimum for this variant`);
+        },
+
+        /**
+         * Add one press to the grid, in place
+         * @param {number[][]} grid - States 0..k-1
+         * @param {number} row
+         * @param {number} col
+         * @param {Object} options
+         */
+        press(grid, row, col, options = {}) {
+            const k = withDefaults(options).states;
+            affected(grid.length, row, col, options).forEach(([r, c]) => { grid[r][c] = (grid[r][c] + 1) % k; });
+        },
+
+        isSolved(grid) {
+            return grid.every(row => row.every(state => !state));
+        },
+
+        isSolvable(grid, options = {}) {
+            return solutionSpace(grid, withDefaults(options)) !== null;
+        },
+
+        /**
+         * Fewest presses that turn every light off
+         * @param {number[][]} grid - Square grid of states, 0 for off
+         * @param {Object} options
+         * @returns {number[][]|null} [row, col, times] in reading order, null if unsolvable
+         * @throws {Error} If the grid has too many solutions to try (see fitSize)
+         */
+        solve(grid, options = {}) {
+            options = withDefaults(options);
+            const space = solutionSpace(grid, options);
+            if (!space) return null;
+
+            const k = options.states;
+            const size = grid.length;
+            if (!searchable(size, options)) {
+                throw new Error(`A ${size}x${size} board of this variant has too many solutions to find the minimum`);
+            }
+            let best = space.solution;
+
+            // Count through every combination like an odometer: each step adds one
+            // quiet pattern, and a digit that wraps has been added k times, a no-op
+            const current = Uint8Array.from(space.solution);
+            const digits = new Uint8Array(space.quiet.length);
+            let bestTotal = total(best);
+            let position = 0;
+            while (position < digits.length) {
+                for (position = 0; position < digits.length; position++) {
+                    const flip = space.quiet[position];
+                    for (let j = 0; j < current.length; j++) current[j] = (current[j] + flip[j]) % k;
+                    digits[position] = (digits[position] + 1) % k;
+                    if (digits[position]) break;
+                }
+                const presses = total(current);
+                if (presses < bestTotal) {
+                    best = Uint8Array.from(current);
+                    bestTotal = presses;
+                }
+            }
+
+            const presses = [];
+            best.forEach((times, cell) => {
+                if (times) presses.push([Math.floor(cell / size), cell % size, times]);
+            });
+            return presses;
+        },
+
+        /**
+         * @param {number[][]} grid
+         * @param {Object} options
+         * @returns {number|null} Minimum presses, null if unsolvable
+         */
+        minPresses(grid, options = {}) {
+            const presses = LightsSolver.solve(grid, options);
+            return presses ? presses.reduce((sum, [, , times]) => sum + times, 0) : null;
+        },
+
+        /**
+         * Next press of an optimal solution. Presses commute, so any press of the
+         * minimal set is optimal; the first in reading order keeps hints stable.
+         * @param {number[][]} grid
+         * @param {Object} options
+         * @returns {Object|null} { press: { row, col, times } | null, pressesRemaining }, null if unsolvable
+         */
+        getHint(grid, options = {}) {
+            const presses = LightsSolver.solve(grid, options);
+            if (!presses) return null;
+            return {
+                press: presses.length ? { row: presses[0][0], col: presses[0][1], times: presses[0][2] } : null,
+                pressesRemaining: presses.reduce((sum, [, , times]) => sum + times, 0)
+            };
+        },
+
+        /**
+         * A board whose minimum press count lies in [min, max]. Each try picks a
+         * press vector x of a size in the band and builds the board x solves,
+         * -A·x, by pressing every chosen cell k - x times. x may not be the
+         * cheapest solution (it can contain a quiet pattern), so the board's
+         * minimum comes from solve() and boards outside the band are skipped.
+         * @param {number} size
+         * @param {Object} band - { min, max } minimum presses
+         * @param {Function} randomInt - randomInt(n) gives an integer in [0, n)
+         * @param {Object} options
+         * @returns {Object} { grid, optimalMoves }
+         * @throws {Error} If no board in the band turns up (the band may be out of
+         *   reach: a 5x5 torus board never needs more than 8 presses)
+         */
+        generate(size, { min, max }, randomInt, options = {}) {
+            options = withDefaults(options);
+            const k = options.states;
+            const cells = size * size;
+            const low = Math.max(1, min);
+            const high = Math.min(max, cells * (k - 1));
+            if (low > high) throw new Error(`A ${size}x${size} board can't need ${min}-${max} presses`);
+
+            for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+                const order = Array.from({ length: cells }, (_, i) => i);
+                const grid = Array.from({ length: size }, () => Array(size).fill(0));
+                let left = low + randomInt(high - low + 1);
+
+                // Partial Fisher-Yates over the cells, giving each chosen cell
+                // 1..k-1 presses of x until the presses are used up
+                for (let i = 0; i < cells && left > 0; i++) {
+                    const j = i + randomInt(cells - i);
+                    [order[i], order[j]] = [order[j], order[i]];
+
+                    const times = k === 2 ? 1 : Math.min(left, 1 + randomInt(k - 1));
+                    for (let t = times; t < k; t++) {
+                        LightsSolver.press(grid, Math.floor(order[i] / size), order[i] % size, options);
+                    }
+                    left -= times;
+                }
+
+                const optimalMoves = LightsSolver.minPresses(grid, options);
+                if (optimalMoves >= low && optimalMoves <= high) return { grid, optimalMoves };
+            }
+
+            throw new Error(`No ${size}x${size} board needing ${min}-${max} presses found in ${MAX_ATTEMPTS} tries`);
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LightsSolver;
+    } else {
+        root.LightsSolver = LightsSolver;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,129 @@
+// lights-verifier.js - Lights Out rules for result-verifier.js (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    const LightsSolver = typeof module !== 'undefined' && module.exports ?
+        require('./lights-solver') : root.LightsSolver;
+
+    // Grid size and minimum presses a board needs, per difficulty. lights.html
+    // reads both through gridSize() and generate().
+    const SIZE_MAP = { 1: 3, 2: 4, 3: 5, 4: 5 };
+    const PRESS_BANDS = {
+        1: { min: 3, max: 5 },
+        2: { min: 5, max: 8 },
+        3: { min: 7, max: 10 },
+        4: { min: 11, max: 15 }
+    };
+
+    const LightsVerifier = {
+        gameId: 'lights',
+
+        // Scoring spec of LightsOut
+        scoring: {
+            base: 1000,
+            time: { perSecond: 10 },
+            penalties: { hint: 100 },
+            ratings: { by: 'movesOverPar', bands: [['S', 1], ['A', 1.2], ['B', 1.5], ['C', 2], ['D', 3]] }
+        },
+
+        /**
+         * Grid size of a difficulty for the given rules
+         * @param {number} difficulty
+         * @param {Object} options - LightsSolver.parseVariant() result
+         * @returns {number}
+         */
+        gridSize(difficulty, options) {
+            // No two-state 5x5 torus or king board needs more than 8 or 9 presses,
+            // short of difficulty 4's band, so those play on 6x6
+            const wide = difficulty === 4 && options.states === 2 && options.wrap !== options.king;
+            return LightsSolver.fitSize(wide ? 6 : (SIZE_MAP[difficulty] || 3), options);
+        },
+
+        /**
+         * Press band of a difficulty, narrowed by the minPresses / maxPresses launch parameters
+         * @param {number} difficulty
+         * @param {Object} custom - Custom game config
+         * @returns {{min: number, max: number}}
+         */
+        pressBand(difficulty, custom) {
+            const band = PRESS_BANDS[difficulty] || PRESS_BANDS[1];
+            const min = Math.floor(custom.minPresses) || band.min;
+            return { min, max: Math.max(min, Math.floor(custom.maxPresses) || Math.max(band.max, min)) };
+        },
+
+        /**
+         * Generate a board in the press band; launch parameters may ask for more
+         * presses than the grid ever needs, then the difficulty's band is used
+         * @param {number} size - Grid size
+         * @param {number} difficulty
+         * @param {Object} custom - Custom game config
+         * @param {Function} randomInt - The round's seeded randomInt(n)
+         * @param {Object} options - LightsSolver.parseVariant() result
+         * @param {Function} [onFallback] - Called with the error and the band used instead
+         * @returns {{grid: number[][], optimalMoves: number}}
+         */
+        generate(size, difficulty, custom, randomInt, options, onFallback) {
+            const band = LightsVerifier.pressBand(difficulty, custom);
+            try {
+                return LightsSolver.generate(size, band, randomInt, options);
+            } catch (error) {
+                const fallback = PRESS_BANDS[difficulty] || PRESS_BANDS[1];
+                if (band.min === fallback.min && band.max === fallback.max) throw error;
+                if (onFallback) onFallback(error, fallback);
+                return LightsSolver.generate(size, fallback, randomInt, options);
+            }
+        },
+
+        /**
+         * Generate the board exactly like LightsOut.initGame()
+         * @param {Object} data - Decoded replay data
+         * @param {SeededRandom} rng - Generator for the recorded round
+         * @param {ScoringEngine} scoring - Scoring rules of the round
+         */
+        create(data, rng, scoring) {
+            const custom = data.c || {};
+            const options = LightsSolver.parseVariant(custom.variant, custom.colors);
+            const size = LightsVerifier.gridSize(data.d, options);
+            const board = LightsVerifier.generate(size, data.d, custom, (n) => rng.nextInt(n), options);
+            let grid = board.grid;
+
+            return {
+                state: { score: 0, moves: 0, mistakes: 0, hintsUsed: 0 },
+
+                // LightsOut.handleLightClick() / useHint()
+                apply(type, [row, col] = []) {
+                    if (type === 'hint') {
+                        if (this.state.hintsUsed < data.h) this.state.hintsUsed++;
+                        return false;
+                    }
+                    if (type !== 'toggle' || !(row >= 0 && row < size && col >= 0 && col < size)) return false;
+                    LightsSolver.press(grid, row, col, options);
+                    this.state.moves++;
+                    return true;
+                },
+
+                capture() {
+                    return grid.map(row => [...row]);
+                },
+
+                restore(board) {
+                    grid = board.map(row => [...row]);
+                },
+
+                getOutcome() {
+                    return LightsSolver.isSolved(grid) ? 'won' : null;
+                },
+
+                // LightsOut.getOptimalMoves()
+                par: board.optimalMoves
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LightsVerifier;
+    } else {
+        (root.GameVerifiers = root.GameVerifiers || {}).lights = LightsVerifier;
+    }
+})(typeof window !== 'undefined' ? window : this);
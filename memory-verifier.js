@@ -0,0 +1,151 @@
+// memory-verifier.js - Memory Match rules for result-verifier.js (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    // Sets per difficulty
+    const PAIRS_MAP = { 1: 4, 2: 6, 3: 8, 4: 10 };
+
+    const MemoryVerifier = {
+        gameId: 'memory',
+
+        // Scoring spec of MemoryMatch
+        scoring: {
+            points: { match: 100 },
+            combo: { from: 2, step: 0.5 },
+            time: { perSecond: 10 }
+        },
+
+        /**
+         * Round rules from the difficulty and launch parameters, clamped to what
+         * the game supports; replays from before these options get the defaults
+         * @param {number} difficulty
+         * @param {Object} custom - Custom game config
+         * @returns {{totalPairs: number, setSize: number, shuffleEvery: number, playerCount: number}}
+         */
+        settings(difficulty, custom) {
+            return {
+                totalPairs: PAIRS_MAP[difficulty] || 4,
+                setSize: Math.min(4, Math.max(2, Math.floor(custom.setSize) || 2)),
+                shuffleEvery: Math.floor(custom.shuffleEvery) || 0,
+                playerCount: Math.min(4, Math.max(1, Math.floor(custom.players) || 1))
+            };
+        },
+
+        /**
+         * Shuffled cards of a round, face down
+         * @param {number} totalPairs - Number of sets
+         * @param {number} setSize - Cards per set
+         * @param {Function} shuffle - The round's seeded shuffle
+         * @returns {Array<{id: number, set: number, copy: number, isFlipped: boolean, isMatched: boolean}>}
+         */
+        deal(totalPairs, setSize, shuffle) {
+            const cards = [];
+            for (let set = 0; set < totalPairs; set++) {
+                for (let copy = 0; copy < setSize; copy++) {
+                    cards.push({ id: cards.length, set, copy, isFlipped: false, isMatched: false });
+                }
+            }
+            return shuffle(cards);
+        },
+
+        /**
+         * Let the unmatched cards trade places
+         * @param {Array} cards - Dealt cards, rearranged in place
+         * @param {Function} shuffle - The round's seeded shuffle
+         * @returns {number[]} Positions whose card may have changed
+         */
+        shuffleUnmatched(cards, shuffle) {
+            const slots = [];
+            cards.forEach((card, index) => { if (!card.isMatched) slots.push(index); });
+            const shuffled = shuffle(slots.map(index => cards[index]));
+            slots.forEach((index, i) => { cards[index] = shuffled[i]; });
+            return slots;
+        },
+
+        /**
+         * Deal the cards exactly like MemoryMatch.createCards().
+         * Only which cards make a set matters, so symbols are left out.
+         * Hot-seat turns pass on each miss, as in MemoryMatch.checkMatch().
+         * @param {Object} data - Decoded replay data
+         * @param {SeededRandom} rng - Generator for the recorded round
+         * @param {ScoringEngine} scoring - Scoring rules of the round
+         */
+        create(data, rng, scoring) {
+            const { totalPairs, setSize, shuffleEvery, playerCount } = MemoryVerifier.settings(data.d, data.c || {});
+            const shuffle = (items) => rng.shuffle(items);
+            const cards = MemoryVerifier.deal(totalPairs, setSize, shuffle);
+            let flipped = [];
+            let matchedPairs = 0;
+            let combo = 0;
+            let misses = 0;
+            const players = Array.from({ length: playerCount }, () => ({ score: 0, matches: 0 }));
+            let currentPlayer = 0;
+
+            // MemoryMatch.checkMatch() and flipBack(); the game waits for animations, the outcome is the same
+            const checkMatch = (state) => {
+                const set = flipped.map(index => cards[index]);
+                flipped = [];
+
+                if (set.length === setSize && set.every(card => card.set === set[0].set)) {
+                    set.forEach(card => { card.isMatched = true; });
+                    matchedPairs++;
+                    combo++;
+                    const points = scoring.award('match', combo);
+                    state.score += points;
+                    players[currentPlayer].score += points;
+                    players[currentPlayer].matches++;
+                } else {
+                    combo = 0;
+                    misses++;
+                    currentPlayer = (currentPlayer + 1) % playerCount;
+                    set.forEach(card => { card.isFlipped = false; });
+                    if (shuffleEvery > 0 && misses % shuffleEvery === 0) MemoryVerifier.shuffleUnmatched(cards, shuffle);
+                }
+            };
+
+            return {
+                state: { score: 0, moves: 0, mistakes: 0, hintsUsed: 0 },
+
+                apply(type, [index]) {
+                    const card = cards[index];
+                    if (type !== 'flip' || !card || card.isFlipped || card.isMatched) return false;
+
+                    card.isFlipped = true;
+                    flipped.push(index);
+
+                    // A set is complete, or this card can't belong to it
+                    if (flipped.length === setSize || card.set !== cards[flipped[0]].set) {
+                        this.state.moves++;
+                        checkMatch(this.state);
+                    }
+                    // Memory has no undo, so nothing goes to history
+                    return false;
+                },
+
+                capture() {
+                    return null;
+                },
+
+                restore() {},
+
+                getOutcome() {
+                    return matchedPairs === totalPairs ? 'won' : null;
+                },
+
+                // MemoryMatch.getGameSpecificData()
+                getGameData() {
+                    return playerCount > 1 ? { players: players.map(player => ({ ...player })) } : {};
+                },
+
+                par: null
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MemoryVerifier;
+    } else {
+        (root.GameVerifiers = root.GameVerifiers || {}).memory = MemoryVerifier;
+    }
+})(typeof window !== 'undefined' ? window : this);
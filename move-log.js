@@ -0,0 +1,218 @@
+// move-log.js - Encode/decode recorded player inputs for replays (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    /*
+     * Replay data layout (short keys keep links and payloads small):
+     *   v - format version
+     *   g - gameId
+     *   s - seed, r - round (see TelegramMiniGame.resetRandom)
+     *   d - difficulty, h - hints available, u - undo limit
+     *   t - time limit in seconds, p - score penalty per undo
+     *   k - the bot's scoring override, null for the game's defaults (see scoring.js)
+     *   c - custom game config
+     *   i - inputs as [msSinceStart, type, ...args]
+     *
+     * Codes are "<header>.<inputs>", both URL-safe base64. The header is the
+     * JSON above without i, plus
+     *   y - every distinct [type, ...args] of the round
+     *   n - number of inputs
+     *   q - ms per time unit
+     * Each input is packed into a few bits: its index in y, then the wait
+     * before it in time units as a varint of 3-bit groups, each behind a
+     * "more follows" bit (a 2 s wait at 50 ms is 8 bits). Times are rounded
+     * down to whole units, so decoded times never run ahead of the real clock
+     * and rounding doesn't add up over a round.
+     */
+    const VERSION = 1;
+
+    // Time unit of a full-precision log, in ms
+    const UNIT_MS = 50;
+    const VARINT_BITS = 3;
+
+    function bytesToBase64Url(bytes) {
+        let b64;
+        if (typeof Buffer !== 'undefined') {
+            b64 = Buffer.from(bytes).toString('base64');
+        } else {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+            b64 = btoa(binary);
+        }
+        return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(code) {
+        const b64 = code.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = b64 + '='.repeat((4 - b64.length % 4) % 4);
+        if (typeof Buffer !== 'undefined') {
+            return new Uint8Array(Buffer.from(padded, 'base64'));
+        }
+        const binary = atob(padded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function utf8Encode(str) {
+        if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(str, 'utf8'));
+        return new TextEncoder().encode(str);
+    }
+
+    function utf8Decode(bytes) {
+        if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('utf8');
+        return new TextDecoder().decode(bytes);
+    }
+
+    // Bits needed to tell count values apart
+    function bitsFor(count) {
+        let bits = 0;
+        while ((1 << bits) < count) bits++;
+        return bits;
+    }
+
+    // Appends bits to a growing byte array, most significant bit first
+    class BitWriter {
+        constructor() {
+            this.bytes = [];
+            this.bit = 0;
+        }
+
+        write(value, width) {
+            for (let b = width - 1; b >= 0; b--, this.bit++) {
+                if ((this.bit & 7) === 0) this.bytes.push(0);
+                if ((value >> b) & 1) this.bytes[this.bit >> 3] |= 0x80 >> (this.bit & 7);
+            }
+        }
+
+        writeVarint(value) {
+            const groups = [];
+            do {
+                groups.push(value % (1 << VARINT_BITS));
+                value = Math.floor(value / (1 << VARINT_BITS));
+            } while (value > 0);
+            for (let g = groups.length - 1; g >= 0; g--) {
+                this.write(g > 0 ? 1 : 0, 1);
+                this.write(groups[g], VARINT_BITS);
+            }
+        }
+    }
+
+    class BitReader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.bit = 0;
+        }
+
+        read(width) {
+            if (this.bit + width > this.bytes.length * 8) throw new Error('Move log is truncated');
+            let value = 0;
+            for (let b = 0; b < width; b++, this.bit++) {
+                value = (value << 1) | ((this.bytes[this.bit >> 3] >> (7 - (this.bit & 7))) & 1);
+            }
+            return value;
+        }
+
+        readVarint() {
+            let value = 0;
+            let more = 1;
+            while (more) {
+                more = this.read(1);
+                value = value * (1 << VARINT_BITS) + this.read(VARINT_BITS);
+            }
+            return value;
+        }
+    }
+
+    function packInputs(inputs, codes, unit) {
+        const width = bitsFor(codes.length);
+        const writer = new BitWriter();
+        let lastTick = 0;
+
+        inputs.forEach(([time, ...action]) => {
+            const tick = Math.max(lastTick, Math.floor(time / unit));
+            writer.write(codes.indexOf(JSON.stringify(action)), width);
+            writer.writeVarint(tick - lastTick);
+            lastTick = tick;
+        });
+        return Uint8Array.from(writer.bytes);
+    }
+
+    function unpackInputs(bytes, actions, count, unit) {
+        const width = bitsFor(actions.length);
+        const reader = new BitReader(bytes);
+
+        const inputs = [];
+        let tick = 0;
+        for (let n = 0; n < count; n++) {
+            const action = actions[reader.read(width)];
+            if (!Array.isArray(action)) throw new Error('Move log refers to an unknown input');
+            tick += reader.readVarint();
+            inputs.push([tick * unit, ...action]);
+        }
+        return inputs;
+    }
+
+    const MoveLog = {
+        VERSION: VERSION,
+        UNIT_MS: UNIT_MS,
+
+        /**
+         * Encode replay data as a URL-safe string
+         * @param {Object} data - Replay data (see layout above)
+         * @param {number} unit - Time resolution in ms; coarser units make smaller codes
+         * @returns {string}
+         */
+        encode(data, unit = UNIT_MS) {
+            const { i: inputs = [], q, ...header } = data;
+            const codes = [];
+            inputs.forEach(([, ...action]) => {
+                const key = JSON.stringify(action);
+                if (!codes.includes(key)) codes.push(key);
+            });
+
+            const json = JSON.stringify({ ...header, v: VERSION, q: unit, y: codes.map(key => JSON.parse(key)), n: inputs.length });
+            return `${bytesToBase64Url(utf8Encode(json))}.${bytesToBase64Url(packInputs(inputs, codes, unit))}`;
+        },
+
+        /**
+         * Re-encode a code with coarser input times, for payloads that don't fit
+         * @param {string} code - Output of encode()
+         * @param {number} unit - New time resolution in ms
+         * @returns {string} The same inputs, times rounded down to the unit
+         */
+        coarsen(code, unit) {
+            return MoveLog.encode(MoveLog.decode(code), unit);
+        },
+
+        /**
+         * Decode a string produced by encode()
+         * @param {string} code
+         * @returns {Object} Replay data, with i as [ms, type, ...args]
+         * @throws {Error} If the code is malformed or from an unknown format version
+         */
+        decode(code) {
+            const [head, body = ''] = code.split('.');
+            const data = JSON.parse(utf8Decode(base64UrlToBytes(head)));
+
+            if (!data || data.v !== VERSION || !(data.q > 0) || !Array.isArray(data.y) || !Number.isInteger(data.n) || data.n < 0) {
+                throw new Error('Unsupported move log format');
+            }
+
+            const { y: actions, n: count, q: unit, ...replay } = data;
+            replay.i = unpackInputs(base64UrlToBytes(body), actions, count, unit);
+            return replay;
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MoveLog;
+    } else {
+        root.MoveLog = MoveLog;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,212 @@
+// player-stats.js - Per-player history of one game and difficulty: bests, streaks, averages (DOM-free)
+//
+// A stats record is plain JSON stored under PlayerStats.key(gameId, difficulty, userId, variant):
+//
+//   {
+//     "v": 1,
+//     "played": 12, "won": 9,
+//     "streak": { "current": 3, "best": 5 },            wins in a row
+//     "days": { "current": 2, "best": 4, "last": "2026-10-18" }, days in a row with a game
+//     "best": { "score": 1180, "time": 41, "moves": 15 }, time and moves count won games only
+//     "totals": { "score": 9120, "time": 640, "moves": 230 },
+//     "top": [[score, time, moves, at], ...],             best runs by score, the local leaderboard
+//     "recent": [[at, score, time, moves, won], ...],     newest first
+//     "updatedAt": 1760781600000
+//   }
+
+(function(root) {
+    'use strict';
+
+    const VERSION = 1;
+    const TOP_SIZE = 5;
+    const RECENT_SIZE = 10;
+
+    // Telegram CloudStorage values hold at most this many characters
+    const MAX_LENGTH = 4096;
+
+    // Fields of `best`, and whether lower is better
+    const BESTS = { score: false, time: true, moves: true };
+
+    function empty() {
+        return {
+            v: VERSION,
+            played: 0,
+            won: 0,
+            streak: { current: 0, best: 0 },
+            days: { current: 0, best: 0, last: null },
+            best: { score: null, time: null, moves: null },
+            totals: { score: 0, time: 0, moves: 0 },
+            top: [],
+            recent: [],
+            updatedAt: 0
+        };
+    }
+
+    // Local calendar day, so a streak follows the player's midnight
+    function dayOf(time) {
+        const date = new Date(time);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+    }
+
+    function improves(field, value, current) {
+        if (value === null || value === undefined) return false;
+        if (current === null) return true;
+        return BESTS[field] ? value < current : value > current;
+    }
+
+    const PlayerStats = {
+        VERSION: VERSION,
+        MAX_LENGTH: MAX_LENGTH,
+
+        empty: empty,
+
+        /**
+         * Storage key, valid for CloudStorage ([A-Za-z0-9_-], up to 128 chars)
+         * @param {string} gameId
+         * @param {number} difficulty
+         * @param {string|number|null} userId - null for players without a Telegram user
+         * @param {string} variant - Rules the game was played with, '' for the game's defaults
+         * @returns {string}
+         */
+        key(gameId, difficulty, userId, variant = '') {
+            const user = userId === null || userId === undefined ? 'anon' : userId;
+            return `stats_${gameId}_d${difficulty}${variant ? `_${variant}` : ''}_${user}`
+                .replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 128);
+        },
+
+        /**
+         * Read a stored record; anything unreadable or from another version is empty
+         * @param {string|null} text
+         * @returns {Object}
+         */
+        parse(text) {
+            if (!text) return empty();
+            try {
+                const stats = JSON.parse(text);
+                return stats && stats.v === VERSION ? Object.assign(empty(), stats) : empty();
+            } catch (e) {
+                return empty();
+            }
+        },
+
+        /**
+         * JSON that fits maxLength, dropping the oldest recent runs and then the
+         * lowest top runs if needed
+         * @param {Object} stats
+         * @param {number} maxLength
+         * @returns {string}
+         */
+        serialize(stats, maxLength = MAX_LENGTH) {
+            const copy = Object.assign({}, stats, { top: stats.top.slice(), recent: stats.recent.slice() });
+            let text = JSON.stringify(copy);
+            while (text.length > maxLength && (copy.recent.length || copy.top.length)) {
+                if (copy.recent.length) copy.recent.pop();
+                else copy.top.pop();
+                text = JSON.stringify(copy);
+            }
+            return text;
+        },
+
+        /**
+         * Of two copies of the same record (local and cloud), the one with more play
+         * @param {Object} a
+         * @param {Object} b
+         * @returns {Object}
+         */
+        newer(a, b) {
+            if (a.played !== b.played) return a.played > b.played ? a : b;
+            return a.updatedAt >= b.updatedAt ? a : b;
+        },
+
+        /**
+         * Add a finished round
+         * @param {Object} stats - Current record, left unchanged
+         * @param {Object} run - { success, score, time, moves }
+         * @param {number} now - Finish time in ms
+         * @returns {Object} { stats, personalBests } - personalBests lists the `best` fields
+         *   this run improved on an earlier record (not the first ever value)
+         */
+        record(stats, run, now = Date.now()) {
+            const next = JSON.parse(JSON.stringify(stats));
+            const personalBests = [];
+            const day = dayOf(now);
+
+            next.played++;
+            next.totals.score += run.score;
+            next.totals.time += run.time;
+            next.totals.moves += run.moves;
+
+            if (run.success) {
+                next.won++;
+                next.streak.current++;
+                next.streak.best = Math.max(next.streak.best, next.streak.current);
+            } else {
+                next.streak.current = 0;
+            }
+
+            if (next.days.last !== day) {
+                const gap = next.days.last ? daysBetween(next.days.last, day) : null;
+                next.days.current = gap === 1 ? next.days.current + 1 : 1;
+                next.days.best = Math.max(next.days.best, next.days.current);
+                next.days.last = day;
+            }
+
+            Object.keys(BESTS).forEach(field => {
+                // A quick loss is not a fast time
+                if (BESTS[field] && !run.success) return;
+                if (!improves(field, run[field], next.best[field])) return;
+                if (next.best[field] !== null) personalBests.push(field);
+                next.best[field] = run[field];
+            });
+
+            next.top.push([run.score, run.time, run.moves, now]);
+            next.top.sort((a, b) => b[0] - a[0] || a[1] - b[1] || a[3] - b[3]);
+            next.top = next.top.slice(0, TOP_SIZE);
+
+            next.recent.unshift([now, run.score, run.time, run.moves, run.success ? 1 : 0]);
+            next.recent = next.recent.slice(0, RECENT_SIZE);
+
+            next.updatedAt = now;
+            return { stats: next, personalBests };
+        },
+
+        /**
+         * Figures for a stats screen
+         * @param {Object} stats
+         * @param {number} now - Current time in ms; a day streak ends after a day without play
+         * @returns {Object} { played, won, winRate, streak, bestStreak, dayStreak, bestDayStreak,
+         *   bestScore, bestTime, fewestMoves, averageScore, averageTime, averageMoves, top }
+         */
+        summary(stats, now = Date.now()) {
+            const average = (total) => stats.played ? Math.round(total / stats.played) : null;
+            const dayStreakAlive = stats.days.last !== null && daysBetween(stats.days.last, dayOf(now)) <= 1;
+            return {
+                played: stats.played,
+                won: stats.won,
+                winRate: stats.played ? Math.round((stats.won / stats.played) * 100) : 0,
+                streak: stats.streak.current,
+                bestStreak: stats.streak.best,
+                dayStreak: dayStreakAlive ? stats.days.current : 0,
+                bestDayStreak: stats.days.best,
+                bestScore: stats.best.score,
+                bestTime: stats.best.time,
+                fewestMoves: stats.best.moves,
+                averageScore: average(stats.totals.score),
+                averageTime: average(stats.totals.time),
+                averageMoves: average(stats.totals.moves),
+                top: stats.top.map(([score, time, moves, at]) => ({ score, time, moves, at }))
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PlayerStats;
+    } else {
+        root.PlayerStats = PlayerStats;
+    }
+})(typeof window !== 'undefined' ? window : this);
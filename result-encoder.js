@@ -0,0 +1,171 @@
+// result-encoder.js - Fit game results into Telegram's sendData limit (DOM-free)
+//
+// Payloads are plain JSON. When a result is too large, keys are abbreviated
+// (marked with "_": 1) and the lowest-priority fields are dropped until it fits.
+// The signed initData and the replay are never dropped: if the required fields
+// alone don't fit, the replay's input times are coarsened (see move-log.js),
+// and a result the bot can't verify fails to encode instead.
+// The bot should always read payloads through ResultEncoder.decode().
+
+(function(root) {
+    'use strict';
+
+    const MoveLog = typeof module !== 'undefined' && module.exports ?
+        require('./move-log') : root.MoveLog;
+
+    // Telegram.WebApp.sendData() rejects anything longer, in UTF-8 bytes
+    const MAX_BYTES = 4096;
+
+    // [field, abbreviation], highest priority first. Fields are dropped from the end.
+    const FIELDS = [
+        // Never dropped
+        ['sessionId', 'sid'],
+        ['gameId', 'g'],
+        ['success', 'ok'],
+        ['score', 'sc'],
+        ['finalScore', 'fs'],
+        ['moves', 'mv'],
+        ['timeElapsed', 'te'],
+        ['initData', 'id'],
+        ['replay', 'rp'],
+
+        // Outcome details
+        ['userId', 'uid'],
+        ['seed', 'sd'],
+        ['round', 'rd'],
+        ['status', 'st'],
+        ['rating', 'rt'],
+        ['difficulty', 'df'],
+        ['mistakes', 'mk'],
+        ['hintsUsed', 'hu'],
+        ['undos', 'ud'],
+        ['redos', 'rdo'],
+        ['undoPenalty', 'up'],
+        ['timeLimit', 'tl'],
+        ['timeRemaining', 'tr'],
+        ['timeAdjustment', 'ta'],
+        ['performance', 'pf'],
+        ['optimal', 'op'],
+
+        // Nice to have
+        ['scoreBreakdown', 'sb'],
+        ['achievements', 'ac'],
+        ['personalBests', 'pb'],
+        ['milestoneCount', 'mc'],
+        ['language', 'ln'],
+        ['timestamp', 'ts'],
+        ['gameName', 'gn'],
+        ['modifiers', 'md'],
+        ['gameData', 'gd'],
+        ['milestones', 'ms'],
+        ['outputString', 'out']
+    ];
+    const REQUIRED_COUNT = 9;
+
+    // Replay time resolutions to fall back to, in ms, finest first
+    const COARSE_UNITS = [250, 1000];
+
+    const ABBREVIATIONS = Object.fromEntries(FIELDS);
+    const EXPANSIONS = Object.fromEntries(FIELDS.map(([name, short]) => [short, name]));
+
+    function byteLength(str) {
+        if (typeof Buffer !== 'undefined') return Buffer.byteLength(str, 'utf8');
+        return new TextEncoder().encode(str).length;
+    }
+
+    // Fields present in the result, by priority; unknown fields go last in their original order
+    function orderFields(result) {
+        const known = FIELDS.map(([name]) => name).filter(name => result[name] !== undefined);
+        const extra = Object.keys(result).filter(name => !ABBREVIATIONS[name] && result[name] !== undefined);
+        return known.concat(extra);
+    }
+
+    function build(result, fields, abbreviate) {
+        const payload = abbreviate ? { _: 1 } : {};
+        fields.forEach(name => {
+            payload[abbreviate && ABBREVIATIONS[name] ? ABBREVIATIONS[name] : name] = result[name];
+        });
+        return JSON.stringify(payload);
+    }
+
+    // The replay with input times rounded to unit ms, null if it isn't a move log
+    function coarsenReplay(replay, unit) {
+        if (typeof replay !== 'string') return null;
+        try {
+            return MoveLog.coarsen(replay, unit);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const ResultEncoder = {
+        MAX_BYTES: MAX_BYTES,
+        FIELDS: FIELDS,
+
+        byteLength: byteLength,
+
+        /**
+         * Encode a result as the smallest-loss payload that fits in maxBytes.
+         * Tries full keys, then abbreviated keys, dropping one field at a time,
+         * then coarser replay times with only the required fields.
+         * @param {Object} result - Result from TelegramMiniGame.generateResult()
+         * @param {number} maxBytes - Size limit (defaults to the sendData limit)
+         * @returns {string} Payload for sendData
+         * @throws {Error} If even the required fields don't fit
+         */
+        encode(result, maxBytes = MAX_BYTES) {
+            const fields = orderFields(result);
+            const minCount = Math.min(REQUIRED_COUNT, fields.length);
+
+            for (let count = fields.length; count >= minCount; count--) {
+                const kept = fields.slice(0, count);
+                for (const abbreviate of [false, true]) {
+                    const payload = build(result, kept, abbreviate);
+                    if (byteLength(payload) <= maxBytes) return payload;
+                }
+            }
+
+            const required = fields.slice(0, minCount);
+            for (const unit of COARSE_UNITS) {
+                const replay = coarsenReplay(result.replay, unit);
+                if (replay === null) break;
+                const payload = build({ ...result, replay }, required, true);
+                if (byteLength(payload) <= maxBytes) return payload;
+            }
+
+            throw new Error(`Result does not fit in ${maxBytes} bytes`);
+        },
+
+        /**
+         * Parse a payload produced by encode(), expanding abbreviated keys
+         * @param {string} payload
+         * @returns {Object} Result with full field names
+         */
+        decode(payload) {
+            const data = JSON.parse(payload);
+            if (data._ !== 1) return data;
+
+            const result = {};
+            Object.keys(data).forEach(key => {
+                if (key !== '_') result[EXPANSIONS[key] || key] = data[key];
+            });
+            return result;
+        },
+
+        /**
+         * Names of result fields missing from a decoded payload
+         * @param {Object} result - Original result
+         * @param {Object} decoded - Output of decode()
+         * @returns {string[]}
+         */
+        droppedFields(result, decoded) {
+            return orderFields(result).filter(name => !(name in decoded));
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ResultEncoder;
+    } else {
+        root.ResultEncoder = ResultEncoder;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,288 @@
+// result-verifier.js - Replay a result's move log and recompute its score (DOM-free)
+//
+// Bot side (Node):
+//   const ResultVerifier = require('./result-verifier');
+//   const report = ResultVerifier.verify(ResultEncoder.decode(data), { seed: sessionId, difficulty: 2, botToken });
+//   if (!report.valid) console.warn(report.errors);
+//
+// Or from a shell: node result-verifier.js result.json [launch.json]
+
+(function(root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const MoveLog = isNode ? require('./move-log') : root.MoveLog;
+    const SeededRandom = isNode ? require('./seeded-random') : root.SeededRandom;
+    const ScoringEngine = isNode ? require('./scoring') : root.ScoringEngine;
+    const TelegramIdentity = isNode ? require('./telegram-identity') : root.TelegramIdentity;
+
+    // Launch parameters the bot can pin, mapped to replay data keys (see move-log.js)
+    const LAUNCH_KEYS = {
+        seed: 's',
+        round: 'r',
+        difficulty: 'd',
+        hintsCount: 'h',
+        undoLimit: 'u',
+        timeLimit: 't',
+        undoPenalty: 'p'
+    };
+
+    // Same content whatever the key order, for comparing specs
+    function canonical(value) {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (!value || typeof value !== 'object') return value;
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = canonical(value[key]);
+            return sorted;
+        }, {});
+    }
+
+    // Per-game verifiers, see e.g. hanoi-verifier.js. Only these ids are looked up:
+    // the id comes from the client's move log.
+    const VERIFIERS = {
+        hanoi: () => require('./hanoi-verifier'),
+        '2048': () => require('./2048-verifier'),
+        lights: () => require('./lights-verifier'),
+        memory: () => require('./memory-verifier'),
+        sliding: () => require('./sliding-verifier')
+    };
+    function getGameVerifier(gameId) {
+        if (typeof gameId !== 'string' || !Object.prototype.hasOwnProperty.call(VERIFIERS, gameId)) return null;
+        if (isNode) return VERIFIERS[gameId]();
+        return (root.GameVerifiers || {})[gameId] || null;
+    }
+
+    /**
+     * Run the recorded inputs against a fresh board.
+     * Mirrors TelegramMiniGame: same seed derivation per round, same undo/redo rules.
+     * @param {Object} verifier - Per-game verifier
+     * @param {Object} data - Decoded replay data
+     * @param {ScoringEngine} scoring - Scoring rules of the round
+     * @returns {Object} Simulated game, history counters and end reason
+     */
+    function simulate(verifier, data, scoring) {
+        const rng = new SeededRandom(data.r === 1 ? data.s : `${data.s}#${data.r}`);
+        const game = verifier.create(data, rng, scoring);
+        const history = { undo: [], redo: [] };
+        const counters = { undos: 0, redos: 0, ignored: 0 };
+        let outcome = null;
+
+        const snapshot = () => ({
+            score: game.state.score,
+            moves: game.state.moves,
+            board: game.capture()
+        });
+        const restore = (snap) => {
+            game.state.score = snap.score;
+            game.state.moves = snap.moves;
+            game.restore(snap.board);
+        };
+
+        data.i.forEach(([, type, ...args]) => {
+            // Inputs in the short window between the final move and the result screen
+            if (outcome) {
+                counters.ignored++;
+                return;
+            }
+
+            if (type === 'undo') {
+                const allowed = data.u === null || counters.undos < data.u;
+                if (history.undo.length === 0 || !allowed) return;
+                history.redo.push(snapshot());
+                restore(history.undo.pop());
+                counters.undos++;
+            } else if (type === 'redo') {
+                if (history.redo.length === 0) return;
+                history.undo.push(snapshot());
+                restore(history.redo.pop());
+                counters.redos++;
+            } else {
+                const before = snapshot();
+                if (game.apply(type, args)) {
+                    history.undo.push(before);
+                    history.redo = [];
+                }
+            }
+
+            outcome = game.getOutcome();
+        });
+
+        return { game, counters, outcome };
+    }
+
+    const ResultVerifier = {
+        /**
+         * Check a result sent by a game against its own move log
+         * @param {Object} result - Parsed result from sendData
+         * @param {Object} launch - Parameters the bot launched the game with
+         *   (seed, round, difficulty, hintsCount, undoLimit, timeLimit, undoPenalty);
+         *   pinned values must match the log, others are taken from it.
+         *   custom holds the game's own launch parameters as the game parses them
+         *   ({ pegs: 4, variant: 'cyclic' }); when given, the round is replayed with
+         *   them instead of the log's, so a log from an easier variant doesn't check out.
+         *   scoring is the bot's scoring override (the ?scoring= text or its parsed
+         *   spec), null or left out for the game's defaults. It is never taken from the
+         *   log, where a client could put any spec.
+         *   With botToken, initData must be signed by the bot and name result.userId.
+         * @returns {Object} { valid, errors, expected }
+         */
+        verify(result, launch = {}) {
+            const errors = [];
+            const report = (expected = null) => ({ valid: errors.length === 0, errors, expected });
+
+            if (!result || !result.replay) {
+                errors.push('Missing move log');
+                return report();
+            }
+
+            if (launch.botToken) {
+                const identity = TelegramIdentity.verify(result.initData, launch.botToken);
+                if (!identity.valid) errors.push(`initData: ${identity.error}`);
+                else if (!identity.user || String(identity.user.id) !== String(result.userId)) {
+                    errors.push('userId does not match signed initData');
+                }
+            }
+
+            let data;
+            try {
+                data = MoveLog.decode(result.replay);
+            } catch (e) {
+                errors.push(`Unreadable move log: ${e.message}`);
+                return report();
+            }
+
+            const verifier = getGameVerifier(data.g);
+            if (!verifier) {
+                errors.push(`No verifier for game "${data.g}"`);
+                return report();
+            }
+
+            if (data.g !== result.gameId) errors.push('Move log belongs to another game');
+            if (data.s !== result.seed || data.r !== result.round) errors.push('Move log seed does not match result');
+
+            Object.entries(LAUNCH_KEYS).forEach(([name, key]) => {
+                if (launch[name] !== undefined && launch[name] !== data[key]) {
+                    errors.push(`${name} is ${JSON.stringify(data[key])}, launched with ${JSON.stringify(launch[name])}`);
+                }
+            });
+            if (launch.custom) {
+                const logged = data.c || {};
+                Object.keys(launch.custom).forEach(name => {
+                    if (logged[name] !== launch.custom[name]) {
+                        errors.push(`custom.${name} is ${JSON.stringify(logged[name])}, launched with ${JSON.stringify(launch.custom[name])}`);
+                    }
+                });
+                // Keys the bot didn't set get the verifier's defaults, not the client's values
+                data = Object.assign({}, data, { c: Object.assign({}, launch.custom) });
+            }
+
+            // Input times must be ordered and fit inside the reported play time
+            let lastTime = 0;
+            data.i.forEach(([time]) => {
+                if (!(time >= lastTime)) errors.push(`Input at ${time}ms is out of order`);
+                lastTime = Math.max(lastTime, time);
+            });
+            const timeElapsed = result.timeElapsed;
+            if (!(timeElapsed >= Math.floor(lastTime / 1000))) {
+                errors.push(`timeElapsed ${timeElapsed}s is shorter than the move log (${lastTime}ms)`);
+            }
+
+            // Same layering as TelegramMiniGame.createScoring(), with the bot's override
+            let scoring;
+            try {
+                const override = typeof launch.scoring === 'string' ? ScoringEngine.parse(launch.scoring) : (launch.scoring || null);
+                if (JSON.stringify(canonical(data.k || null)) !== JSON.stringify(canonical(override))) {
+                    errors.push(`Scoring override is ${JSON.stringify(data.k || null)}, launched with ${JSON.stringify(override)}`);
+                }
+                scoring = new ScoringEngine(verifier.scoring, override, { penalties: { undo: data.p } });
+            } catch (e) {
+                errors.push(e.message);
+                return report();
+            }
+
+            let simulation;
+            try {
+                simulation = simulate(verifier, data, scoring);
+            } catch (e) {
+                errors.push(`Round can't be rebuilt: ${e.message}`);
+                return report();
+            }
+            const { game, counters, outcome } = simulation;
+
+            // Without a finishing move the round can only have ended on the clock
+            // (time bonuses and penalties from GameClock shift when that happens)
+            const success = outcome === 'won';
+            const clockTime = timeElapsed - (result.timeAdjustment || 0);
+            if (!outcome && !(data.t && clockTime >= data.t)) {
+                errors.push('Round ended without a finishing move or timeout');
+            }
+
+            const { score, breakdown } = scoring.evaluate({
+                points: game.state.score,
+                moves: game.state.moves,
+                par: game.par === undefined ? null : game.par,
+                timeLimit: data.t,
+                timeElapsed,
+                mistakes: game.state.mistakes,
+                hintsUsed: game.state.hintsUsed,
+                undos: counters.undos,
+                metrics: game.getMetrics ? game.getMetrics() : {}
+            });
+            const undoPenalty = counters.undos * scoring.spec.penalties.undo;
+
+            const expected = {
+                success,
+                score,
+                moves: game.state.moves,
+                mistakes: game.state.mistakes,
+                hintsUsed: game.state.hintsUsed,
+                undos: counters.undos,
+                redos: counters.redos,
+                undoPenalty
+            };
+
+            Object.keys(expected).forEach(field => {
+                if (result[field] !== expected[field]) {
+                    errors.push(`${field} is ${JSON.stringify(result[field])}, log gives ${JSON.stringify(expected[field])}`);
+                }
+            });
+
+            // The breakdown may have been dropped to fit sendData, but must be right when sent
+            if (result.scoreBreakdown && JSON.stringify(result.scoreBreakdown) !== JSON.stringify(breakdown)) {
+                errors.push(`scoreBreakdown is ${JSON.stringify(result.scoreBreakdown)}, log gives ${JSON.stringify(breakdown)}`);
+            }
+            expected.scoreBreakdown = breakdown;
+
+            // Game data the log can reproduce (e.g. hot-seat scores), checked the same way
+            if (game.getGameData) {
+                const gameData = game.getGameData();
+                Object.keys(gameData).forEach(field => {
+                    const sent = result.gameData && result.gameData[field];
+                    if (result.gameData && JSON.stringify(sent) !== JSON.stringify(gameData[field])) {
+                        errors.push(`gameData.${field} is ${JSON.stringify(sent)}, log gives ${JSON.stringify(gameData[field])}`);
+                    }
+                });
+                expected.gameData = gameData;
+            }
+
+            return report(expected);
+        }
+    };
+
+    if (isNode) {
+        module.exports = ResultVerifier;
+
+        if (require.main === module) {
+            const fs = require('fs');
+            const [file, launchFile] = process.argv.slice(2);
+            const input = fs.readFileSync(file || 0, 'utf8');
+            const launch = launchFile ? JSON.parse(fs.readFileSync(launchFile, 'utf8')) : {};
+            const outcome = ResultVerifier.verify(require('./result-encoder').decode(input), launch);
+
+            console.log(JSON.stringify(outcome, null, 2));
+            process.exitCode = outcome.valid ? 0 : 1;
+        }
+    } else {
+        root.ResultVerifier = ResultVerifier;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,216 @@
+// scoring.js - Declarative scoring rules shared by games and result-verifier.js (DOM-free)
+//
+// A scoring spec is plain JSON, so the bot can override any part of it with
+// ?scoring=<json or base64url json>. Specs are merged over the defaults below;
+// objects merge key by key, arrays and numbers replace.
+//
+//   {
+//     "base": 1000,                               points for finishing at par, scaled by par / moves
+//     "points": { "match": 100 },                 points per in-game event, see award()
+//     "combo": { "from": 2, "step": 0.5 },        event multiplier 1 + step * level once level >= from
+//     "time": { "perSecond": 10, "power": 1 },    bonus for time left; power > 1 favours fast finishes
+//     "penalties": { "mistake": 50, "hint": 100, "undo": 25 },
+//     "bonuses": { "highestTile": 10 },           points per unit of a game metric
+//     "ratings": { "by": "performance", "bands": [["S", 95], ["A", 85]], "fallback": "F" }
+//   }
+
+(function(root) {
+    'use strict';
+
+    const DEFAULT_SPEC = {
+        base: 0,
+        points: {},
+        combo: { from: 2, step: 0, max: null },
+        time: { perSecond: 0, power: 1, max: null },
+        penalties: { mistake: 0, hint: 0, undo: 0 },
+        bonuses: {},
+        ratings: {
+            // 'performance': score as % of the optimal score, bands are minimums
+            // 'movesOverPar': moves divided by par, bands are maximums
+            by: 'performance',
+            bands: [['S', 95], ['A', 85], ['B', 75], ['C', 60], ['D', 40]],
+            fallback: 'F'
+        }
+    };
+
+    // Breakdown components that take points away
+    const PENALTIES = { mistakes: 'mistake', hints: 'hint', undos: 'undo' };
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function merge(target, source) {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            if (value === undefined) return;
+            if (isPlainObject(value) && isPlainObject(target[key])) {
+                target[key] = merge({ ...target[key] }, value);
+            } else {
+                target[key] = Array.isArray(value) ? value.map(item => Array.isArray(item) ? [...item] : item) : value;
+            }
+        });
+        return target;
+    }
+
+    function checkNumber(value, path, errors) {
+        if (value !== null && !(typeof value === 'number' && isFinite(value))) {
+            errors.push(`${path} must be a number`);
+        }
+    }
+
+    function base64UrlToUtf8(text) {
+        const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        if (typeof Buffer !== 'undefined') return Buffer.from(b64, 'base64').toString('utf8');
+        const binary = atob(b64);
+        return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+    }
+
+    class ScoringEngine {
+        /**
+         * @param {...Object} specs - Partial specs, later ones win (e.g. game defaults, then the bot's override)
+         */
+        constructor(...specs) {
+            this.spec = specs.filter(Boolean).reduce((spec, override) => merge(spec, override), merge({}, DEFAULT_SPEC));
+            const errors = ScoringEngine.validate(this.spec);
+            if (errors.length) throw new Error(`Invalid scoring spec: ${errors.join(', ')}`);
+        }
+
+        /**
+         * Parse a `scoring` launch parameter: JSON, or base64url-encoded JSON
+         * @param {string} text
+         * @returns {Object} Partial spec
+         * @throws {Error} If it isn't a valid spec
+         */
+        static parse(text) {
+            const json = text.trim().startsWith('{') ? text : base64UrlToUtf8(text.trim());
+            const spec = JSON.parse(json);
+            if (!isPlainObject(spec)) throw new Error('Scoring spec must be an object');
+
+            const errors = ScoringEngine.validate(merge(merge({}, DEFAULT_SPEC), spec));
+            if (errors.length) throw new Error(`Invalid scoring spec: ${errors.join(', ')}`);
+            return spec;
+        }
+
+        /**
+         * @param {Object} spec - Complete spec (defaults merged in)
+         * @returns {string[]} Problems found, empty when valid
+         */
+        static validate(spec) {
+            const errors = [];
+            checkNumber(spec.base, 'base', errors);
+            ['from', 'step', 'max'].forEach(key => checkNumber(spec.combo[key], `combo.${key}`, errors));
+            ['perSecond', 'power', 'max'].forEach(key => checkNumber(spec.time[key], `time.${key}`, errors));
+            ['points', 'penalties', 'bonuses'].forEach(group => {
+                if (!isPlainObject(spec[group])) errors.push(`${group} must be an object`);
+                else Object.keys(spec[group]).forEach(key => checkNumber(spec[group][key], `${group}.${key}`, errors));
+            });
+
+            const ratings = spec.ratings;
+            if (!['performance', 'movesOverPar'].includes(ratings.by)) {
+                errors.push('ratings.by must be "performance" or "movesOverPar"');
+            }
+            if (!Array.isArray(ratings.bands) || !ratings.bands.every(band =>
+                Array.isArray(band) && typeof band[0] === 'string' && typeof band[1] === 'number')) {
+                errors.push('ratings.bands must be [rating, threshold] pairs');
+            }
+            return errors;
+        }
+
+        /**
+         * Points for an in-game event, with the combo multiplier applied
+         * @param {string} event - Key of spec.points, e.g. 'match'
+         * @param {number} comboLevel - Consecutive successes including this one
+         * @returns {number}
+         */
+        award(event, comboLevel = 1) {
+            return Math.floor((this.spec.points[event] || 0) * this.comboMultiplier(comboLevel));
+        }
+
+        comboMultiplier(level) {
+            const { from, step, max } = this.spec.combo;
+            if (level < from) return 1;
+            const multiplier = 1 + step * level;
+            return max === null ? multiplier : Math.min(max, multiplier);
+        }
+
+        /**
+         * Bonus for time left on the clock. With power 1 it is perSecond for every
+         * second left; higher powers shrink the bonus faster as time runs out.
+         * @param {number|null} timeLimit - Seconds
+         * @param {number} timeElapsed - Seconds
+         * @returns {number}
+         */
+        timeBonus(timeLimit, timeElapsed) {
+            if (!timeLimit) return 0;
+            const { perSecond, power, max } = this.spec.time;
+            const left = Math.max(0, timeLimit - timeElapsed);
+            const seconds = power === 1 ? left : timeLimit * Math.pow(left / timeLimit, power);
+            const bonus = Math.floor(perSecond * seconds);
+            return max === null ? bonus : Math.min(max, bonus);
+        }
+
+        /**
+         * Final score of a round
+         * @param {Object} round
+         * @param {number} round.points - Points earned during play (merges, matches...)
+         * @param {number} round.moves
+         * @param {number|null} round.par - Moves for a perfect round, null if the game has none
+         * @param {number|null} round.timeLimit
+         * @param {number} round.timeElapsed
+         * @param {number} round.mistakes
+         * @param {number} round.hintsUsed
+         * @param {number} round.undos - Undos that count against the score
+         * @param {Object} round.metrics - Game metrics for spec.bonuses, e.g. { highestTile: 512 }
+         * @returns {Object} { score, breakdown } - breakdown lists every non-zero component
+         */
+        evaluate({ points = 0, moves = 0, par = null, timeLimit = null, timeElapsed = 0,
+            mistakes = 0, hintsUsed = 0, undos = 0, metrics = {} }) {
+            const efficiency = par ? Math.max(0, Math.min(1, par / moves)) : 1;
+            const counts = { mistakes, hints: hintsUsed, undos };
+
+            const components = {
+                play: points,
+                base: Math.floor(this.spec.base * efficiency),
+                time: this.timeBonus(timeLimit, timeElapsed)
+            };
+            Object.keys(this.spec.bonuses).forEach(metric => {
+                components[metric] = Math.floor((metrics[metric] || 0) * this.spec.bonuses[metric]);
+            });
+            Object.keys(PENALTIES).forEach(name => {
+                components[name] = -Math.round(counts[name] * (this.spec.penalties[PENALTIES[name]] || 0));
+            });
+
+            const breakdown = {};
+            let total = 0;
+            Object.keys(components).forEach(name => {
+                if (!components[name]) return;
+                breakdown[name] = components[name];
+                total += components[name];
+            });
+
+            return { score: Math.max(0, total), breakdown };
+        }
+
+        /**
+         * Rating letter from the spec's bands
+         * @param {Object} round - { performance, moves, par }
+         * @returns {string}
+         */
+        rate({ performance = 0, moves = 0, par = null }) {
+            const { by, bands, fallback } = this.spec.ratings;
+            const band = bands.find(([, threshold]) => by === 'movesOverPar' ?
+                par !== null && moves <= par * threshold :
+                performance >= threshold);
+            return band ? band[0] : fallback;
+        }
+    }
+
+    ScoringEngine.DEFAULT_SPEC = DEFAULT_SPEC;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ScoringEngine;
+    } else {
+        root.ScoringEngine = ScoringEngine;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,79 @@
+// seeded-random.js - Deterministic PRNG shared by all mini-games (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    class SeededRandom {
+        /**
+         * @param {number|string} seed - Numeric seed, or any string (hashed to 32 bits)
+         */
+        constructor(seed) {
+            this.seed = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hashString(String(seed));
+            this.state = this.seed;
+        }
+
+        /**
+         * FNV-1a hash of a string to an unsigned 32-bit integer
+         * @param {string} str
+         * @returns {number}
+         */
+        static hashString(str) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < str.length; i++) {
+                hash ^= str.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        /**
+         * Next float in [0, 1) (mulberry32)
+         * @returns {number}
+         */
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        /**
+         * Integer in [0, max)
+         * @param {number} max
+         * @returns {number}
+         */
+        nextInt(max) {
+            return Math.floor(this.next() * max);
+        }
+
+        /**
+         * Random element of an array
+         * @param {Array} array
+         * @returns {*}
+         */
+        pick(array) {
+            return array[this.nextInt(array.length)];
+        }
+
+        /**
+         * Shuffled copy of an array (Fisher-Yates)
+         * @param {Array} array
+         * @returns {Array}
+         */
+        shuffle(array) {
+            const arr = [...array];
+            for (let i = arr.length - 1; i > 0; i--) {
+                const j = this.nextInt(i + 1);
+                [arr[i], arr[j]] = [arr[j], arr[i]];
+            }
+            return arr;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SeededRandom;
+    } else {
+        root.SeededRandom = SeededRandom;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,8 @@
+// sliding-solver-worker.js - Runs SlidingSolver hints off the page thread (see SlidingSolver.connect)
+
+importScripts('sliding-solver.js');
+
+self.onmessage = (event) => {
+    const { id, tiles, options } = event.data;
+    self.postMessage({ id, hint: self.SlidingSolver.getHint(tiles, options) });
+};
@@ -0,0 +1,522 @@
+// sliding-solver.js - Optimal sliding puzzle solver and board generator (DOM-free)
+//
+// Boards are the game's `tiles`: size x size arrays where tile t belongs at
+// (floor(t / size), t % size) and -1 is the empty square, which belongs last.
+// A move names the tile that slides into the empty square.
+//
+// 3x3 and 4x4 boards are solved optimally by IDA* on Manhattan distance plus
+// linear conflicts. Boards that need more than `nodeLimit` expansions (deep 4x4
+// and most 5x5 boards) fall back to weighted A*, which is quick but only gives an
+// upper bound; results say which one they are.
+//
+// Either search can take a second or more on 4x4 and 5x5 boards, so connect() gives
+// hints from a Web Worker (sliding-solver-worker.js), falling back to the main thread
+// where workers aren't available, e.g. pages opened from file://.
+
+(function(root) {
+    'use strict';
+
+    // IDA* expansions before falling back to weighted A*
+    const NODE_LIMIT = 1000000;
+
+    // Weighted A* passes: h weight and node budget, tried in order
+    const FALLBACK_PASSES = [[1.5, 100000], [3, 200000], [10, 400000]];
+
+    // Boards generate() tries before returning the closest one to the band
+    const MAX_ATTEMPTS = 40;
+
+    const FOUND = -1;
+
+    // Per-size tables, see tablesFor()
+    const tables = {};
+
+    /**
+     * Lookup tables for a size: Manhattan distances, neighbours, lines
+     * Internally the empty square is 0 and tile t is t + 1, so value v belongs at v - 1.
+     */
+    function tablesFor(size) {
+        if (tables[size]) return tables[size];
+
+        const n = size * size;
+        const manhattan = Array.from({ length: n }, (_, value) => Int8Array.from({ length: n }, (_, pos) =>
+            value === 0 ? 0 :
+                Math.abs(Math.floor((value - 1) / size) - Math.floor(pos / size)) +
+                Math.abs((value - 1) % size - pos % size)));
+
+        const neighbours = Array.from({ length: n }, (_, pos) => {
+            const row = Math.floor(pos / size);
+            const col = pos % size;
+            const list = [];
+            if (row > 0) list.push(pos - size);
+            if (row < size - 1) list.push(pos + size);
+            if (col > 0) list.push(pos - 1);
+            if (col < size - 1) list.push(pos + 1);
+            return list;
+        });
+
+        tables[size] = { n, manhattan, neighbours };
+        return tables[size];
+    }
+
+    function toCells(tiles) {
+        return Int8Array.from([].concat(...tiles), value => value + 1);
+    }
+
+    // Longest increasing subsequence length of a short array
+    function longestIncreasing(values) {
+        const best = values.map(() => 1);
+        let longest = 0;
+        for (let i = 0; i < values.length; i++) {
+            for (let j = 0; j < i; j++) {
+                if (values[j] < values[i] && best[j] + 1 > best[i]) best[i] = best[j] + 1;
+            }
+            longest = Math.max(longest, best[i]);
+        }
+        return longest;
+    }
+
+    /**
+     * Linear conflict of one row (horizontal) or column: tiles that are in their goal
+     * line but in the wrong order. Every tile that has to leave the line to let the
+     * others pass costs two extra moves.
+     */
+    function lineConflict(cells, size, index, horizontal) {
+        const order = [];
+        for (let k = 0; k < size; k++) {
+            const value = cells[horizontal ? index * size + k : k * size + index];
+            if (value === 0) continue;
+            const goalRow = Math.floor((value - 1) / size);
+            const goalCol = (value - 1) % size;
+            if (horizontal && goalRow === index) order.push(goalCol);
+            if (!horizontal && goalCol === index) order.push(goalRow);
+        }
+        return 2 * (order.length - longestIncreasing(order));
+    }
+
+    // Manhattan distance plus linear conflicts of internal cells
+    function estimate(cells, size) {
+        const { manhattan } = tablesFor(size);
+        let h = 0;
+        cells.forEach((value, pos) => { h += manhattan[value][pos]; });
+        for (let line = 0; line < size; line++) {
+            h += lineConflict(cells, size, line, true) + lineConflict(cells, size, line, false);
+        }
+        return h;
+    }
+
+    /**
+     * Manhattan distance plus linear conflicts, a lower bound on the moves left
+     * @param {number[][]} tiles
+     * @returns {number}
+     */
+    function heuristic(tiles) {
+        return estimate(toCells(tiles), tiles.length);
+    }
+
+    function toMoves(path, size) {
+        return path.map(pos => ({ row: Math.floor(pos / size), col: pos % size }));
+    }
+
+    /**
+     * IDA*: depth-first searches with a growing bound on moves + heuristic.
+     * Manhattan distance and the conflicts of the lines a move touches are
+     * updated incrementally.
+     * @returns {Object|null} { path, nodes } with path as the empty square's positions,
+     *   null when nodeLimit runs out or maxDepth is passed
+     */
+    function idaStar(tiles, nodeLimit, maxDepth) {
+        const size = tiles.length;
+        const { manhattan, neighbours } = tablesFor(size);
+        const cells = toCells(tiles);
+        const rowConflict = new Int8Array(size);
+        const colConflict = new Int8Array(size);
+
+        let blank = cells.indexOf(0);
+        let distance = 0;
+        cells.forEach((value, pos) => { distance += manhattan[value][pos]; });
+        for (let line = 0; line < size; line++) {
+            rowConflict[line] = lineConflict(cells, size, line, true);
+            colConflict[line] = lineConflict(cells, size, line, false);
+        }
+        const conflicts = () => rowConflict.reduce((a, b) => a + b, 0) + colConflict.reduce((a, b) => a + b, 0);
+
+        const path = [];
+        let nodes = 0;
+
+        // Slide the tile at `pos` into the empty square; returns the change in h
+        const slide = (pos) => {
+            const value = cells[pos];
+            const before = manhattan[value][pos];
+            cells[blank] = value;
+            cells[pos] = 0;
+            const vertical = Math.abs(pos - blank) === size;
+            const lines = vertical ?
+                [Math.floor(pos / size), Math.floor(blank / size)] :
+                [pos % size, blank % size];
+            const table = vertical ? rowConflict : colConflict;
+            let delta = manhattan[value][blank] - before;
+            lines.forEach(line => {
+                const updated = lineConflict(cells, size, line, vertical);
+                delta += updated - table[line];
+                table[line] = updated;
+            });
+            blank = pos;
+            return delta;
+        };
+
+        const search = (g, h, bound, previous) => {
+            const f = g + h;
+            if (f > bound) return f;
+            if (h === 0) return FOUND;
+            if (++nodes > nodeLimit) return Infinity;
+
+            let next = Infinity;
+            const from = blank;
+            for (const pos of neighbours[from]) {
+                if (pos === previous) continue;
+                const delta = slide(pos);
+                path.push(pos);
+                const result = search(g + 1, h + delta, bound, from);
+                if (result === FOUND) return FOUND;
+                path.pop();
+                slide(from);
+                if (result < next) next = result;
+            }
+            return next;
+        };
+
+        const h0 = distance + conflicts();
+        let bound = h0;
+        while (bound <= maxDepth) {
+            const result = search(0, h0, bound, -1);
+            if (result === FOUND) return { path, nodes };
+            if (result === Infinity) return null;
+            bound = result;
+        }
+        return null;
+    }
+
+    // Minimal binary heap of [priority, tie-break, item]
+    class Heap {
+        constructor() {
+            this.items = [];
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        push(entry) {
+            const items = this.items;
+            items.push(entry);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (Heap.less(items[parent], items[i])) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        }
+
+        pop() {
+            const items = this.items;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && Heap.less(items[left], items[smallest])) smallest = left;
+                    if (right < items.length && Heap.less(items[right], items[smallest])) smallest = right;
+                    if (smallest === i) break;
+                    [items[smallest], items[i]] = [items[i], items[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+
+        static less(a, b) {
+            return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+        }
+    }
+
+    /**
+     * Weighted A* (f = g + weight * h): finds a solution fast, not always the shortest
+     * @returns {number[]|null} The empty square's positions, null when nodeLimit runs out
+     */
+    function weightedAStar(tiles, weight, nodeLimit) {
+        const size = tiles.length;
+        const { neighbours } = tablesFor(size);
+        const start = toCells(tiles);
+        const key = (cells) => cells.join(',');
+        const parents = new Map([[key(start), null]]);
+        const open = new Heap();
+        let counter = 0;
+
+        open.push([weight * estimate(start, size), counter++, { cells: start, g: 0 }]);
+        while (open.size && counter < nodeLimit) {
+            const { cells, g } = open.pop()[2];
+            const blank = cells.indexOf(0);
+
+            if (estimate(cells, size) === 0) {
+                const path = [];
+                for (let at = key(cells); parents.get(at); at = parents.get(at).from) {
+                    path.unshift(parents.get(at).pos);
+                }
+                return path;
+            }
+
+            for (const pos of neighbours[blank]) {
+                const next = Int8Array.from(cells);
+                next[blank] = next[pos];
+                next[pos] = 0;
+                const nextKey = key(next);
+                if (parents.has(nextKey)) continue;
+                parents.set(nextKey, { from: key(cells), pos });
+                open.push([g + 1 + weight * estimate(next, size), counter++, { cells: next, g: g + 1 }]);
+            }
+        }
+        return null;
+    }
+
+    function pick({ tiles, optimalMoves, optimal }) {
+        return { tiles, optimalMoves, optimal };
+    }
+
+    const SlidingSolver = {
+        NODE_LIMIT: NODE_LIMIT,
+
+        heuristic: heuristic,
+
+        solved(size) {
+            return Array.from({ length: size }, (_, row) =>
+                Array.from({ length: size }, (_, col) =>
+                    row === size - 1 && col === size - 1 ? -1 : row * size + col));
+        },
+
+        isSolved(tiles) {
+            const size = tiles.length;
+            return tiles.every((line, row) => line.every((tile, col) =>
+                tile === (row === size - 1 && col === size - 1 ? -1 : row * size + col)));
+        },
+
+        /**
+         * Parity check: a board can be solved exactly when the permutation of all
+         * cells (the empty square included) has the parity of the empty square's
+         * distance from its goal corner, since every move is one transposition.
+         * @param {number[][]} tiles
+         * @returns {boolean}
+         */
+        isSolvable(tiles) {
+            const size = tiles.length;
+            const cells = toCells(tiles).map(value => value === 0 ? size * size : value);
+            const seen = new Uint8Array(cells.length);
+            let transpositions = 0;
+            for (let i = 0; i < cells.length; i++) {
+                if (seen[i]) continue;
+                let length = 0;
+                for (let j = i; !seen[j]; j = cells[j] - 1) {
+                    seen[j] = 1;
+                    length++;
+                }
+                transpositions += length - 1;
+            }
+            const blank = cells.indexOf(size * size);
+            const blankDistance = (size - 1 - Math.floor(blank / size)) + (size - 1 - blank % size);
+            return transpositions % 2 === blankDistance % 2;
+        },
+
+        /**
+         * A uniformly random solvable board: shuffle every cell, then swap two
+         * tiles if the parity check fails (which maps unsolvable boards one-to-one
+         * onto solvable ones)
+         * @param {number} size
+         * @param {Function} randomInt - randomInt(n) gives an integer in [0, n)
+         * @returns {number[][]}
+         */
+        randomBoard(size, randomInt) {
+            const cells = [].concat(...SlidingSolver.solved(size));
+            for (let i = cells.length - 1; i > 0; i--) {
+                const j = randomInt(i + 1);
+                [cells[i], cells[j]] = [cells[j], cells[i]];
+            }
+            const tiles = Array.from({ length: size }, (_, row) => cells.slice(row * size, row * size + size));
+            if (!SlidingSolver.isSolvable(tiles)) {
+                const [a, b] = cells.map((value, pos) => value === -1 ? null : pos).filter(pos => pos !== null);
+                [tiles[Math.floor(a / size)][a % size], tiles[Math.floor(b / size)][b % size]] =
+                    [tiles[Math.floor(b / size)][b % size], tiles[Math.floor(a / size)][a % size]];
+            }
+            return tiles;
+        },
+
+        /**
+         * Moves that solve the board
+         * @param {number[][]} tiles
+         * @param {Object} options
+         * @param {number} options.nodeLimit - IDA* expansions before falling back to weighted A*
+         * @param {number} options.maxDepth - Give up (null) on boards that need more moves;
+         *   no fallback is tried then
+         * @returns {Object|null} { moves: [{ row, col }], optimal } - optimal is false for
+         *   fallback solutions; null if unsolvable or past maxDepth
+         */
+        solve(tiles, { nodeLimit = NODE_LIMIT, maxDepth = Infinity } = {}) {
+            const size = tiles.length;
+            if (!SlidingSolver.isSolvable(tiles)) return null;
+
+            const exact = idaStar(tiles, nodeLimit, maxDepth);
+            if (exact) return { moves: toMoves(exact.path, size), optimal: true };
+            if (maxDepth !== Infinity) return null;
+
+            for (const [weight, limit] of FALLBACK_PASSES) {
+                const path = weightedAStar(tiles, weight, limit);
+                if (path) return { moves: toMoves(path, size), optimal: false };
+            }
+            return null;
+        },
+
+        /**
+         * Next slide of an optimal (or, past the node limit, a good) solution
+         * @param {number[][]} tiles
+         * @param {Object} options - See solve()
+         * @returns {Object|null} { move: { row, col } | null, movesRemaining, optimal }
+         */
+        getHint(tiles, options = {}) {
+            const solution = SlidingSolver.solve(tiles, options);
+            if (!solution) return null;
+            return {
+                move: solution.moves[0] || null,
+                movesRemaining: solution.moves.length,
+                optimal: solution.optimal
+            };
+        },
+
+        /**
+         * A board whose solution length lies in [min, max].
+         * 'permutation' draws uniformly random solvable boards and keeps the first in
+         * the band; deep 4x4 and 5x5 boards are far out of reach of a short band, so
+         * once its attempts run out it continues like 'walk'.
+         * 'walk' makes random slides from the solved board (never straight back) and
+         * solves the result; the walk length is drawn from the band, and the solution
+         * can only be shorter.
+         * @param {number} size
+         * @param {Object} band - { min, max } solution length
+         * @param {Function} randomInt - randomInt(n) gives an integer in [0, n)
+         * @param {Object} options
+         * @param {string} options.method - 'permutation' or 'walk'
+         * @param {number} options.nodeLimit - See solve()
+         * @returns {Object} { tiles, optimalMoves, optimal } - the closest board found if none fits
+         */
+        generate(size, { min, max }, randomInt, { method = 'walk', nodeLimit = NODE_LIMIT } = {}) {
+            let closest = null;
+            const consider = (tiles, solution) => {
+                const length = solution.moves.length;
+                const distance = length < min ? min - length : Math.max(0, length - max);
+                if (!closest || distance < closest.distance) {
+                    closest = { tiles, optimalMoves: length, optimal: solution.optimal, distance };
+                }
+                return distance === 0;
+            };
+
+            if (method === 'permutation') {
+                for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+                    const tiles = SlidingSolver.randomBoard(size, randomInt);
+                    // The heuristic is a lower bound, so far boards are rejected unsolved
+                    if (heuristic(tiles) > max) continue;
+                    const solution = SlidingSolver.solve(tiles, { nodeLimit, maxDepth: max });
+                    if (solution && consider(tiles, solution)) return pick(closest);
+                }
+            }
+
+            for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+                const tiles = SlidingSolver.solved(size);
+                let blank = { row: size - 1, col: size - 1 };
+                let previous = null;
+                const steps = min + randomInt(Math.max(1, max - min + 1)) + attempt;
+
+                for (let i = 0; i < steps; i++) {
+                    const options = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+                        .map(([dr, dc]) => ({ row: blank.row + dr, col: blank.col + dc }))
+                        .filter(({ row, col }) => row >= 0 && row < size && col >= 0 && col < size &&
+                            !(previous && previous.row === row && previous.col === col));
+                    const move = options[randomInt(options.length)];
+                    tiles[blank.row][blank.col] = tiles[move.row][move.col];
+                    tiles[move.row][move.col] = -1;
+                    previous = blank;
+                    blank = move;
+                }
+
+                const solution = SlidingSolver.solve(tiles, { nodeLimit });
+                if (solution && consider(tiles, solution)) break;
+            }
+
+            return pick(closest);
+        },
+
+        /**
+         * Hints without blocking the page
+         * @param {string} workerUrl - Script of the worker, e.g. 'sliding-solver-worker.js'
+         * @returns {Object} { getHint(tiles, options) -> Promise, terminate() }
+         */
+        connect(workerUrl) {
+            let worker = null;
+            let nextId = 0;
+            const pending = new Map();
+
+            const runHere = (tiles, options) => new Promise(resolve =>
+                setTimeout(() => resolve(SlidingSolver.getHint(tiles, options))));
+
+            // Requests the worker still owed are answered here instead
+            const dropWorker = () => {
+                if (worker) worker.terminate();
+                worker = null;
+                pending.forEach(({ resolve, args }) => resolve(runHere(...args)));
+                pending.clear();
+            };
+
+            try {
+                if (typeof Worker === 'function') {
+                    worker = new Worker(workerUrl);
+                    worker.onmessage = (event) => {
+                        const request = pending.get(event.data.id);
+                        if (!request) return;
+                        pending.delete(event.data.id);
+                        request.resolve(event.data.hint);
+                    };
+                    worker.onerror = (event) => {
+                        console.warn('⚠️ Solver worker failed, solving on the main thread:', event.message);
+                        dropWorker();
+                    };
+                }
+            } catch (e) {
+                worker = null;
+            }
+
+            return {
+                getHint(tiles, options = {}) {
+                    if (!worker) return runHere(tiles, options);
+                    return new Promise(resolve => {
+                        const id = ++nextId;
+                        pending.set(id, { resolve, args: [tiles, options] });
+                        worker.postMessage({ id, tiles, options });
+                    });
+                },
+
+                terminate() {
+                    if (worker) worker.terminate();
+                    worker = null;
+                    pending.clear();
+                }
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SlidingSolver;
+    } else {
+        root.SlidingSolver = SlidingSolver;
+    }
+})(typeof window !== 'undefined' ? window : this);
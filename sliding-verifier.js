@@ -0,0 +1,126 @@
+// sliding-verifier.js - Sliding Puzzle rules for result-verifier.js (DOM-free)
+
+(function(root) {
+    'use strict';
+
+    const SlidingSolver = typeof module !== 'undefined' && module.exports ?
+        require('./sliding-solver') : root.SlidingSolver;
+
+    // Grid size and solution length of a new board, per difficulty. sliding.html
+    // reads both through gridSize() and distanceBand().
+    const SIZE_MAP = { 1: 3, 2: 4, 3: 4, 4: 5 };
+    const DISTANCE_BANDS = {
+        1: { min: 14, max: 20 },
+        2: { min: 18, max: 26 },
+        3: { min: 28, max: 36 },
+        4: { min: 30, max: 40 }
+    };
+
+    const SlidingVerifier = {
+        gameId: 'sliding',
+
+        // Scoring spec of SlidingPuzzle
+        scoring: {
+            base: 1000,
+            time: { perSecond: 5 },
+            penalties: { hint: 100 },
+            ratings: { by: 'movesOverPar', bands: [['S', 1], ['A', 1.2], ['B', 1.5], ['C', 2], ['D', 3]] }
+        },
+
+        /**
+         * Grid size of a difficulty
+         * @param {number} difficulty
+         * @returns {number}
+         */
+        gridSize(difficulty) {
+            return SIZE_MAP[difficulty] || 3;
+        },
+
+        /**
+         * Distance band of a difficulty, narrowed by the minMoves / maxMoves launch parameters
+         * @param {number} difficulty
+         * @param {Object} custom - Custom game config
+         * @returns {{min: number, max: number}}
+         */
+        distanceBand(difficulty, custom) {
+            const band = DISTANCE_BANDS[difficulty] || DISTANCE_BANDS[1];
+            const min = Math.floor(custom.minMoves) || band.min;
+            return { min, max: Math.max(min, Math.floor(custom.maxMoves) || Math.max(band.max, min)) };
+        },
+
+        /**
+         * SlidingSolver.generate() method for the shuffle launch parameter
+         * @param {number} size - Grid size
+         * @param {Object} custom - Custom game config
+         * @returns {string} 'permutation' or 'walk'
+         */
+        shuffleMethod(size, custom) {
+            if (custom.shuffle === 'permutation' || custom.shuffle === 'walk') return custom.shuffle;
+            return size === 3 ? 'permutation' : 'walk';
+        },
+
+        /**
+         * Generate the board exactly like SlidingPuzzle.initGame()
+         * @param {Object} data - Decoded replay data
+         * @param {SeededRandom} rng - Generator for the recorded round
+         * @param {ScoringEngine} scoring - Scoring rules of the round
+         */
+        create(data, rng, scoring) {
+            const custom = data.c || {};
+            const size = SlidingVerifier.gridSize(data.d);
+            const board = SlidingSolver.generate(size, SlidingVerifier.distanceBand(data.d, custom),
+                (n) => rng.nextInt(n), { method: SlidingVerifier.shuffleMethod(size, custom) });
+            let tiles = board.tiles;
+            let empty = null;
+            tiles.forEach((line, row) => line.forEach((tile, col) => {
+                if (tile === -1) empty = { row, col };
+            }));
+
+            const slide = ({ row, col }) => {
+                tiles[empty.row][empty.col] = tiles[row][col];
+                tiles[row][col] = -1;
+                empty = { row, col };
+            };
+
+            return {
+                state: { score: 0, moves: 0, mistakes: 0, hintsUsed: 0 },
+
+                // SlidingPuzzle.handleTileClick() / useHint() / usePeek()
+                apply(type, [row, col] = []) {
+                    // A peek at the solved board costs a hint too
+                    if (type === 'hint' || type === 'peek') {
+                        if (this.state.hintsUsed < data.h) this.state.hintsUsed++;
+                        return false;
+                    }
+                    if (type !== 'slide') return false;
+                    if (Math.abs(row - empty.row) + Math.abs(col - empty.col) !== 1) return false;
+                    slide({ row, col });
+                    this.state.moves++;
+                    return true;
+                },
+
+                capture() {
+                    return { tiles: tiles.map(row => [...row]), empty: { ...empty } };
+                },
+
+                restore(board) {
+                    tiles = board.tiles.map(row => [...row]);
+                    empty = { ...board.empty };
+                },
+
+                getOutcome() {
+                    return SlidingSolver.isSolved(tiles) ? 'won' : null;
+                },
+
+                // SlidingPuzzle.getOptimalMoves()
+                par: board.optimalMoves
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SlidingVerifier;
+    } else {
+        (root.GameVerifiers = root.GameVerifiers || {}).sliding = SlidingVerifier;
+    }
+})(typeof window !== 'undefined' ? window : this);
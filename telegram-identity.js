@@ -0,0 +1,217 @@
+// telegram-identity.js - Player identity from Telegram initData, and its HMAC check (DOM-free)
+//
+// In the game:
+//   const identity = TelegramIdentity.fromWebApp(Telegram.WebApp, new URLSearchParams(location.search));
+//   identity.user -> { id, name, firstName, lastName, username, language, premium }
+//
+// Bot side (Node) - only the bot knows its token, so only the bot can trust a user:
+//   const TelegramIdentity = require('./telegram-identity');
+//   const check = TelegramIdentity.verify(result.initData, process.env.BOT_TOKEN);
+//   if (check.valid) console.log(check.user.id);
+//
+// Test pages and the mock sign initData with sign(), which is async: browsers only
+// have HMAC through Web Crypto, and this file doesn't ship one of its own.
+//
+// Signature scheme (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app):
+//   secret = HMAC_SHA256(key "WebAppData", bot token)
+//   hash   = hex(HMAC_SHA256(key secret, "key=value" lines of every other field, sorted, joined by "\n"))
+
+(function(root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const nodeCrypto = isNode ? require('crypto') : null;
+
+    // initData older than this is rejected by verify()
+    const DEFAULT_MAX_AGE = 24 * 60 * 60; // seconds
+
+    // Hex HMAC-SHA256, as Telegram sends it
+    const HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+    function toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function dataCheckString(fields) {
+        return Object.keys(fields)
+            .filter(key => key !== 'hash')
+            .sort()
+            .map(key => `${key}=${fields[key]}`)
+            .join('\n');
+    }
+
+    // Node only, see webCryptoHash() for browsers
+    function computeHash(fields, botToken) {
+        const secret = nodeCrypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+        return nodeCrypto.createHmac('sha256', secret).update(dataCheckString(fields)).digest('hex');
+    }
+
+    // computeHash() through Web Crypto
+    function webCryptoHash(fields, botToken) {
+        const subtle = root.crypto && root.crypto.subtle;
+        if (!subtle) return Promise.reject(new Error('Web Crypto is not available (it needs https or localhost)'));
+
+        const encode = (text) => new TextEncoder().encode(text);
+        const hmac = (key, message) => subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+            .then(cryptoKey => subtle.sign('HMAC', cryptoKey, message));
+
+        return hmac(encode('WebAppData'), encode(botToken))
+            .then(secret => hmac(secret, encode(dataCheckString(fields))))
+            .then(hash => toHex(new Uint8Array(hash)));
+    }
+
+    // Byte lengths, not string lengths: timingSafeEqual throws on a mismatch
+    function safeEqual(a, b) {
+        const bytesA = Buffer.from(a);
+        const bytesB = Buffer.from(b);
+        return bytesA.length === bytesB.length && nodeCrypto.timingSafeEqual(bytesA, bytesB);
+    }
+
+    // Raw query-string fields, values still JSON-encoded where Telegram sends JSON
+    function parseFields(initData) {
+        const fields = {};
+        new URLSearchParams(initData || '').forEach((value, key) => { fields[key] = value; });
+        return fields;
+    }
+
+    const TelegramIdentity = {
+        DEFAULT_MAX_AGE: DEFAULT_MAX_AGE,
+
+        /**
+         * Parse an initData string into values (user/receiver/chat JSON decoded)
+         * @param {string} initData
+         * @returns {Object} e.g. { query_id, user, auth_date, hash }
+         */
+        parse(initData) {
+            const fields = parseFields(initData);
+            const data = {};
+            Object.keys(fields).forEach(key => {
+                const value = fields[key];
+                if (['user', 'receiver', 'chat'].includes(key)) {
+                    try {
+                        data[key] = JSON.parse(value);
+                    } catch (e) {
+                        data[key] = null;
+                    }
+                } else if (key === 'auth_date') {
+                    data[key] = parseInt(value, 10);
+                } else {
+                    data[key] = value;
+                }
+            });
+            return data;
+        },
+
+        /**
+         * Telegram's WebAppUser as the games use it
+         * @param {Object} user - user object from initData
+         * @returns {Object|null} { id, name, firstName, lastName, username, language, premium }
+         */
+        normalizeUser(user) {
+            if (!user || user.id === undefined || user.id === null) return null;
+            const firstName = user.first_name || '';
+            const lastName = user.last_name || '';
+
+            return {
+                id: user.id,
+                name: [firstName, lastName].filter(Boolean).join(' ') || user.username || String(user.id),
+                firstName: firstName,
+                lastName: lastName,
+                username: user.username || null,
+                language: (user.language_code || 'en').split('-')[0].toLowerCase(),
+                premium: user.is_premium === true
+            };
+        },
+
+        /**
+         * Who is playing, preferring the signed initData string over initDataUnsafe,
+         * and both over a userId URL parameter (which anyone can edit).
+         * The game can't check the signature - that needs the bot token - so
+         * `signed` only says the bot will be able to.
+         * @param {Object} tg - Telegram.WebApp
+         * @param {URLSearchParams} urlParams
+         * @returns {Object} { user, source, signed, authDate, queryId }
+         */
+        fromWebApp(tg, urlParams) {
+            const identity = { user: null, source: null, signed: false, authDate: null, queryId: null };
+
+            const data = tg && tg.initData ? TelegramIdentity.parse(tg.initData) : null;
+            if (data && data.user) {
+                identity.user = TelegramIdentity.normalizeUser(data.user);
+                identity.source = 'initData';
+                identity.signed = !!data.hash;
+                identity.authDate = data.auth_date || null;
+                identity.queryId = data.query_id || null;
+            } else if (tg && tg.initDataUnsafe && tg.initDataUnsafe.user) {
+                identity.user = TelegramIdentity.normalizeUser(tg.initDataUnsafe.user);
+                identity.source = 'initDataUnsafe';
+                identity.authDate = tg.initDataUnsafe.auth_date || null;
+                identity.queryId = tg.initDataUnsafe.query_id || null;
+            } else if (urlParams && urlParams.has('userId')) {
+                identity.user = TelegramIdentity.normalizeUser({ id: urlParams.get('userId') });
+                identity.source = 'url';
+            }
+            return identity;
+        },
+
+        /**
+         * Check initData against the bot token (bot side, needs Node's crypto)
+         * @param {string} initData - Raw Telegram.WebApp.initData
+         * @param {string} botToken
+         * @param {Object} options
+         * @param {number|null} options.maxAge - Seconds initData stays valid, null to skip
+         * @param {number} options.now - Current unix time in seconds
+         * @returns {Object} { valid, error, data, user }
+         */
+        verify(initData, botToken, { maxAge = DEFAULT_MAX_AGE, now = Math.floor(Date.now() / 1000) } = {}) {
+            const fields = parseFields(initData);
+            const fail = (error) => ({ valid: false, error, data: null, user: null });
+
+            if (!nodeCrypto) return fail('Checking initData needs Node\'s crypto module');
+            if (!botToken) return fail('Missing bot token');
+            if (!fields.hash) return fail('Missing hash');
+            if (!HASH_PATTERN.test(fields.hash)) return fail('Invalid hash');
+            if (!safeEqual(computeHash(fields, botToken), fields.hash.toLowerCase())) return fail('Invalid hash');
+
+            const data = TelegramIdentity.parse(initData);
+            if (maxAge !== null && !(now - data.auth_date <= maxAge)) return fail('initData expired');
+
+            return { valid: true, error: null, data, user: TelegramIdentity.normalizeUser(data.user) };
+        },
+
+        /**
+         * Build correctly signed initData, e.g. for the mock or bot tests
+         * @param {Object} data - Fields; objects (user, chat...) are JSON-encoded
+         * @param {string} botToken
+         * @returns {Promise<string>} initData query string including hash
+         */
+        sign(data, botToken) {
+            const fields = {};
+            Object.keys(data).forEach(key => {
+                const value = data[key];
+                if (value === undefined || value === null || key === 'hash') return;
+                fields[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            });
+            const hash = nodeCrypto ? Promise.resolve(computeHash(fields, botToken)) : webCryptoHash(fields, botToken);
+            return hash.then(value => {
+                fields.hash = value;
+                return new URLSearchParams(fields).toString();
+            });
+        }
+    };
+
+    if (isNode) {
+        module.exports = TelegramIdentity;
+
+        // node telegram-identity.js <bot token> < initData
+        if (require.main === module) {
+            const input = require('fs').readFileSync(0, 'utf8').trim();
+            const outcome = TelegramIdentity.verify(input, process.argv[2]);
+
+            console.log(JSON.stringify(outcome, null, 2));
+            process.exitCode = outcome.valid ? 0 : 1;
+        }
+    } else {
+        root.TelegramIdentity = TelegramIdentity;
+    }
+})(typeof window !== 'undefined' ? window : this);
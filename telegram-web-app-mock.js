@@ -34,6 +34,75 @@
     // Get current mock user from localStorage or default
     let currentUser = localStorage.getItem('mock_telegram_user') || 'user1';
     
+    // 'keyboard' (sendData works) or 'inline' (launched with a query_id, sendData unavailable)
+    let launchMode = localStorage.getItem('mock_telegram_launch') || 'keyboard';
+    
+    // initData is signed with this token, so bot-side checks can run against the mock
+    let botToken = localStorage.getItem('mock_telegram_bot_token') || '1234567890:MOCK-bot-token';
+    
+    // Launch fields of the current mock user, as Telegram would put them in initData
+    function launchData() {
+        return {
+            query_id: launchMode === 'inline' ? 'mock_query_' + Date.now() : undefined,
+            user: mockUsers[currentUser],
+            auth_date: Math.floor(Date.now() / 1000)
+        };
+    }
+    
+    // Signed initData string (needs telegram-identity.js), or '' like an unsigned launch
+    function signInitData(data, token) {
+        if (!window.TelegramIdentity) return Promise.resolve('');
+        return window.TelegramIdentity.sign(data, token).catch(error => {
+            console.warn('⚠️ initData left unsigned:', error.message);
+            return '';
+        });
+    }
+    
+    // Signing is async, so each launch starts unsigned; a relaunch drops older signatures
+    let launchCount = 0;
+    
+    // CloudStorage limits, as Telegram enforces them per user and bot
+    const CLOUD_MAX_KEYS = 1024;
+    const CLOUD_MAX_VALUE_LENGTH = 4096;
+    const CLOUD_KEY_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+    const CLOUD_LATENCY = 30; // ms, callbacks are always async like the real thing
+    
+    // Each mock user gets their own cloud, kept in localStorage
+    function cloudKey() {
+        return 'mock_cloud_storage_' + mockUsers[currentUser].id;
+    }
+    
+    function loadCloud() {
+        try {
+            return JSON.parse(localStorage.getItem(cloudKey())) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    function saveCloud(items) {
+        localStorage.setItem(cloudKey(), JSON.stringify(items));
+    }
+    
+    // Bad keys and values throw synchronously, the same as telegram-web-app.js
+    function checkCloudKey(key) {
+        if (typeof key !== 'string' || !CLOUD_KEY_PATTERN.test(key)) {
+            console.error('[Telegram.WebApp] CloudStorage key is invalid: ' + key);
+            throw Error('WebAppCloudStorageKeyInvalid');
+        }
+    }
+    
+    function checkCloudValue(value) {
+        if (typeof value !== 'string' || value.length > CLOUD_MAX_VALUE_LENGTH) {
+            console.error('[Telegram.WebApp] CloudStorage value is invalid or too long');
+            throw Error('WebAppCloudStorageValueInvalid');
+        }
+    }
+    
+    function cloudReply(callback, error, result) {
+        if (callback) setTimeout(() => callback(error, result), CLOUD_LATENCY);
+    }
+    
     // Mock Telegram WebApp
     const TelegramWebAppMock = {
         version: '6.0',
@@ -231,20 +300,75 @@
             }
         },
 
-        initData: '',
-        initDataUnsafe: {
-            query_id: 'mock_query_' + Date.now(),
-            user: mockUsers[currentUser],
-            auth_date: Math.floor(Date.now() / 1000),
-            hash: 'mock_hash_' + Math.random().toString(36).substring(7)
+        CloudStorage: {
+            setItem: function(key, value, callback) {
+                checkCloudKey(key);
+                checkCloudValue(value);
+                
+                const items = loadCloud();
+                if (!(key in items) && Object.keys(items).length >= CLOUD_MAX_KEYS) {
+                    console.warn(`☁️ CloudStorage full (${CLOUD_MAX_KEYS} keys), ${key} not stored`);
+                    cloudReply(callback, 'STORAGE_KEYS_TOO_MUCH', false);
+                    return this;
+                }
+                items[key] = value;
+                saveCloud(items);
+                cloudReply(callback, null, true);
+                return this;
+            },
+            getItem: function(key, callback) {
+                return this.getItems([key], (error, values) => callback(error, error ? null : values[key]));
+            },
+            getItems: function(keys, callback) {
+                keys.forEach(checkCloudKey);
+                const items = loadCloud();
+                const values = {};
+                keys.forEach(key => { values[key] = key in items ? items[key] : ''; });
+                cloudReply(callback, null, values);
+                return this;
+            },
+            removeItem: function(key, callback) {
+                return this.removeItems([key], callback);
+            },
+            removeItems: function(keys, callback) {
+                keys.forEach(checkCloudKey);
+                const items = loadCloud();
+                keys.forEach(key => { delete items[key]; });
+                saveCloud(items);
+                cloudReply(callback, null, true);
+                return this;
+            },
+            getKeys: function(callback) {
+                cloudReply(callback, null, Object.keys(loadCloud()));
+                return this;
+            }
         },
 
+        initData: '',
+        initDataUnsafe: launchData(),
+
         sendData: function(data) {
             console.log('📤 sendData called:', data);
             
+            // Same checks as the real telegram-web-app.js
+            const size = typeof data === 'string' ? new TextEncoder().encode(data).length : 0;
+            if (!size) {
+                console.error('[Telegram.WebApp] Data is required', data);
+                throw Error('WebAppDataInvalid');
+            }
+            if (size > 4096) {
+                console.error('[Telegram.WebApp] Data is too long', data);
+                throw Error('WebAppDataInvalid');
+            }
+            
+            if (launchMode === 'inline') {
+                console.warn('⚠️ MOCK: sendData is ignored for inline launches');
+                return false;
+            }
+            
             try {
                 // Parse the data to validate it's proper JSON
-                const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+                const parsed = window.ResultEncoder ? window.ResultEncoder.decode(data) : JSON.parse(data);
                 
                 // Store it for inspection
                 localStorage.setItem('last_telegram_sendData', data);
@@ -289,6 +413,16 @@
             }
         },
 
+        showAlert: function(message, callback) {
+            alert(message);
+            if (callback) callback();
+        },
+
+        showConfirm: function(message, callback) {
+            const ok = confirm(message);
+            if (callback) callback(ok);
+        },
+
         ready: function() {
             console.log('✅ WebApp ready');
             this._isReady = true;
@@ -330,12 +464,62 @@
         _setUser: function(userId) {
             if (mockUsers[userId]) {
                 currentUser = userId;
-                this.initDataUnsafe.user = mockUsers[userId];
                 localStorage.setItem('mock_telegram_user', userId);
+                this._relaunch();
                 console.log('👤 User switched to:', mockUsers[userId]);
             }
         },
 
+        _setLaunchMode: function(mode) {
+            if (mode !== 'keyboard' && mode !== 'inline') return;
+            launchMode = mode;
+            localStorage.setItem('mock_telegram_launch', mode);
+            this._relaunch();
+            console.log('🚀 Launch mode switched to:', mode);
+        },
+
+        _setBotToken: function(token) {
+            botToken = token;
+            localStorage.setItem('mock_telegram_bot_token', token);
+            this._relaunch();
+            console.log('🔑 initData now signed with:', token);
+        },
+
+        /**
+         * Test vector generator: initData signed like Telegram does, for any fields.
+         * Check it bot-side with TelegramIdentity.verify(initData, token).
+         * @param {Object} data - Fields to sign, defaults to the current mock launch
+         * @param {string} token - Bot token, defaults to the mock's
+         * @returns {Promise<string>}
+         */
+        _signInitData: function(data, token) {
+            return signInitData(data || launchData(), token || botToken);
+        },
+
+        /**
+         * Re-sign initData after the user, launch mode or token changed.
+         * initDataUnsafe changes right away, initData once it is signed.
+         * @returns {Promise<string>} The new initData
+         */
+        _relaunch: function() {
+            const launch = ++launchCount;
+            const data = launchData();
+            this.initData = '';
+            this.initDataUnsafe = data;
+            
+            return signInitData(data, botToken).then(initData => {
+                if (launch !== launchCount) return this.initData;
+                this.initData = initData;
+                if (initData) this.initDataUnsafe = window.TelegramIdentity.parse(initData);
+                return initData;
+            });
+        },
+
+        _clearCloudStorage: function() {
+            localStorage.removeItem(cloudKey());
+            console.log('☁️ CloudStorage cleared for', mockUsers[currentUser].username);
+        },
+
         _setTheme: function(theme) {
             if (theme === 'dark') {
                 this.colorScheme = 'dark';
@@ -369,9 +553,14 @@
     window.Telegram = {
         WebApp: TelegramWebAppMock
     };
+    TelegramWebAppMock._relaunch();
 
     console.log('✅ Mock Telegram WebApp loaded');
     console.log('📝 Available testing commands:');
     console.log('  Telegram.WebApp._setUser("user1" or "user2")');
     console.log('  Telegram.WebApp._setTheme("light" or "dark")');
+    console.log('  Telegram.WebApp._setLaunchMode("keyboard" or "inline")');
+    console.log('  Telegram.WebApp._setBotToken("<bot token>")');
+    console.log('  Telegram.WebApp._signInitData({ user: {...}, auth_date: ... }, "<bot token>").then(console.log)');
+    console.log('  Telegram.WebApp._clearCloudStorage()');
 })();
\ No newline at end of file
@@ -0,0 +1,125 @@
+// 2048-rules.test.js - Line merges, swipe directions, blockers and rule sets of Rules2048
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules2048 = require('../2048-rules');
+
+const X = Rules2048.BLOCKER;
+
+const slide = (line, rules = 'classic') => Rules2048.slideLine(line, rules);
+
+test('every direction slides and merges towards its edge', () => {
+    const grid = [
+        [2, 2, 0, 4],
+        [0, 0, 0, 0],
+        [2, 0, 0, 4],
+        [0, 0, 0, 8]
+    ];
+    const expected = {
+        left: [[4, 4, 0, 0], [0, 0, 0, 0], [2, 4, 0, 0], [8, 0, 0, 0]],
+        right: [[0, 0, 4, 4], [0, 0, 0, 0], [0, 0, 2, 4], [0, 0, 0, 8]],
+        up: [[4, 2, 0, 8], [0, 0, 0, 8], [0, 0, 0, 0], [0, 0, 0, 0]],
+        down: [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 8], [4, 2, 0, 8]]
+    };
+    const points = { left: 4, right: 4, up: 12, down: 12 };
+
+    Object.keys(expected).forEach(direction => {
+        const result = Rules2048.move(grid, direction, 'classic');
+        assert.deepEqual(result.grid, expected[direction], direction);
+        assert.equal(result.points, points[direction], direction);
+        assert.equal(result.moved, true, direction);
+    });
+    assert.deepEqual(grid[0], [2, 2, 0, 4], 'the input grid is left unchanged');
+});
+
+test('swipes that change nothing are not moves', () => {
+    const grid = [[2, 4, 0, 0], [8, 16, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    assert.equal(Rules2048.move(grid, 'left', 'classic').moved, false);
+    assert.equal(Rules2048.move(grid, 'up', 'classic').moved, false);
+    assert.equal(Rules2048.move(grid, 'right', 'classic').moved, true);
+    assert.equal(Rules2048.move(grid, 'sideways', 'classic').moved, false);
+});
+
+test('blockers split a line into segments that slide on their own', () => {
+    assert.deepEqual(slide([0, 2, X, 0, 2]).line, [2, 0, X, 2, 0]);
+    assert.deepEqual(slide([2, X, 2, 2]).line, [2, X, 4, 0]);
+    assert.deepEqual(slide([X, 0, 0, 4]).line, [X, 4, 0, 0]);
+    assert.deepEqual(slide([4, X, X, 4]).line, [4, X, X, 4]);
+
+    const grid = [[0, 0, 0], [X, 0, 0], [2, 0, 0]];
+    assert.deepEqual(Rules2048.move(grid, 'up', 'classic').grid, [[0, 0, 0], [X, 0, 0], [2, 0, 0]]);
+    assert.equal(Rules2048.move(grid, 'down', 'classic').moved, false);
+});
+
+test('tiles merge once per swipe', () => {
+    assert.deepEqual(slide([2, 2, 2, 2]), { line: [4, 4, 0, 0], points: 8 });
+    assert.deepEqual(slide([2, 2, 4, 0]), { line: [4, 4, 0, 0], points: 4 });
+    assert.deepEqual(slide([4, 2, 2, 0]), { line: [4, 4, 0, 0], points: 4 });
+    assert.deepEqual(slide([2, 2, 2, 0]), { line: [4, 2, 0, 0], points: 4 });
+    assert.deepEqual(slide([1, 1, 2, 0], 'fibonacci').line, [2, 2, 0, 0]);
+    assert.deepEqual(slide([1, 2, 3, 0], 'threes').line, [3, 3, 0, 0]);
+});
+
+test('fibonacci merges neighbouring Fibonacci numbers', () => {
+    assert.deepEqual(slide([1, 1, 0, 0], 'fibonacci'), { line: [2, 0, 0, 0], points: 2 });
+    assert.deepEqual(slide([2, 3, 0, 0], 'fibonacci'), { line: [5, 0, 0, 0], points: 5 });
+    assert.deepEqual(slide([3, 2, 0, 0], 'fibonacci').line, [5, 0, 0, 0]);
+    assert.deepEqual(slide([1, 2, 0, 0], 'fibonacci').line, [3, 0, 0, 0]);
+    assert.deepEqual(slide([2, 2, 0, 0], 'fibonacci').line, [2, 2, 0, 0]);
+    assert.deepEqual(slide([2, 5, 0, 0], 'fibonacci').line, [2, 5, 0, 0]);
+});
+
+test('threes merges 1 with 2, then equal tiles from 3 up', () => {
+    assert.deepEqual(slide([1, 2, 0, 0], 'threes'), { line: [3, 0, 0, 0], points: 3 });
+    assert.deepEqual(slide([2, 1, 0, 0], 'threes').line, [3, 0, 0, 0]);
+    assert.deepEqual(slide([3, 3, 0, 0], 'threes'), { line: [6, 0, 0, 0], points: 6 });
+    assert.deepEqual(slide([1, 1, 0, 0], 'threes').line, [1, 1, 0, 0]);
+    assert.deepEqual(slide([2, 2, 0, 0], 'threes').line, [2, 2, 0, 0]);
+    assert.deepEqual(slide([3, 6, 0, 0], 'threes').line, [3, 6, 0, 0]);
+});
+
+test('parseSpawn keeps valid tiles and normalises weights', () => {
+    assert.deepEqual(Rules2048.parseSpawn('2:3,4:1', 'classic'), [[2, 0.75], [4, 0.25]]);
+    // Values off the rule set's ladder and non-positive weights are skipped
+    assert.deepEqual(Rules2048.parseSpawn('2:1,3:5,8:0,16:1', 'classic'), [[2, 0.5], [16, 0.5]]);
+    assert.deepEqual(Rules2048.parseSpawn('1:1,5:1', 'fibonacci'), [[1, 0.5], [5, 0.5]]);
+    assert.deepEqual(Rules2048.parseSpawn('3:1', 'threes'), [[3, 1]]);
+    // Nothing usable falls back to the rule set's own distribution
+    ['', 'junk', '3:1,0:0'].forEach(text => {
+        assert.deepEqual(Rules2048.parseSpawn(text, 'classic'), Rules2048.RULE_SETS.classic.spawn, JSON.stringify(text));
+    });
+    assert.deepEqual(Rules2048.parseSpawn(undefined, 'fibonacci'), Rules2048.RULE_SETS.fibonacci.spawn);
+});
+
+test('configure clamps board size and blocker count', () => {
+    assert.equal(Rules2048.configure({ gridSize: 2 }).size, Rules2048.MIN_SIZE);
+    assert.equal(Rules2048.configure({ gridSize: 12 }).size, Rules2048.MAX_SIZE);
+    assert.equal(Rules2048.configure({}).size, 4);
+
+    // At least half of the board stays open
+    assert.equal(Rules2048.configure({ gridSize: 4, blockers: 3 }).blockers, 3);
+    assert.equal(Rules2048.configure({ gridSize: 4, blockers: 50 }).blockers, 6);
+    assert.equal(Rules2048.configure({ gridSize: 3, blockers: 50 }).blockers, 2);
+    assert.equal(Rules2048.configure({ gridSize: 4, blockers: -4 }).blockers, 0);
+
+    const config = Rules2048.configure({ rules: 'bogus', spawn: '4:1' }, 3);
+    assert.equal(config.rules, 'classic');
+    assert.equal(config.winValue, 4096);
+    assert.deepEqual(config.spawn, [[4, 1]]);
+    assert.equal(Rules2048.configure({ rules: 'fibonacci' }, 1).winValue, 377);
+});
+
+test('placeBlockers only uses empty cells', () => {
+    const grid = Rules2048.emptyGrid(3);
+    grid[0][0] = 2;
+    let calls = 0;
+    Rules2048.placeBlockers(grid, 20, (n) => (calls++) % n);
+
+    assert.equal(grid[0][0], 2);
+    assert.equal(grid.flat().filter(value => value === X).length, 8);
+    assert.equal(Rules2048.canMove(grid, 'classic'), false);
+});
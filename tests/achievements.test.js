@@ -0,0 +1,75 @@
+// achievements.test.js - AchievementRegistry definitions, counters, unlocks and merging
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AchievementRegistry = require('../achievements');
+
+const DEFINITIONS = [
+    { id: 'first_win', name: 'First Win', when: (round) => round.finished && round.success },
+    { id: 'perfect', icon: '🏆', name: 'Perfect', when: (round, game) => round.success && game.optimal },
+    { id: 'veteran', name: 'Veteran', counter: 'won', goal: 3 }
+];
+
+test('define() rejects missing ids, duplicates and definitions without a condition or goal', () => {
+    const registry = new AchievementRegistry(DEFINITIONS);
+
+    assert.throws(() => registry.define([{ when: () => true }]), /needs an id/);
+    assert.throws(() => registry.define([{ id: 'first_win', when: () => true }]), /defined twice/);
+    assert.throws(() => registry.define([{ id: 'lonely' }]), /needs a when\(\) condition or a counter/);
+    assert.throws(() => registry.define([{ id: 'endless', counter: 'played' }]), /needs a goal/);
+    assert.throws(() => registry.define([{ id: 'zero', counter: 'played', goal: 0 }]), /needs a goal/);
+
+    // Defaults fill in what a definition leaves out
+    assert.deepEqual([registry.get('veteran').icon, registry.get('veteran').description], ['🏅', '']);
+});
+
+test('count() unlocks a counter achievement when it reaches its goal', () => {
+    const registry = new AchievementRegistry(DEFINITIONS);
+
+    assert.deepEqual(registry.count('won', 1, 10), []);
+    assert.deepEqual(registry.count('played', 5, 20), []);
+    assert.deepEqual(registry.count('won', 2, 30).map(definition => definition.id), ['veteran']);
+    assert.equal(registry.progress.unlocked.veteran, 30);
+
+    // Counting on doesn't unlock it again
+    assert.deepEqual(registry.count('won', 1, 40), []);
+    assert.equal(registry.getCounter('won'), 4);
+
+    const veteran = registry.list().find(entry => entry.id === 'veteran');
+    assert.deepEqual([veteran.value, veteran.goal, veteran.unlockedAt], [3, 3, 30]);
+});
+
+test('evaluate() unlocks each condition achievement once', () => {
+    const registry = new AchievementRegistry(DEFINITIONS);
+    const game = { optimal: true };
+
+    // Mid-game checks see finished false
+    assert.deepEqual(registry.evaluate({ finished: false, success: true }, game, 10).map(d => d.id), ['perfect']);
+    assert.deepEqual(registry.evaluate({ finished: true, success: true }, game, 20).map(d => d.id), ['first_win']);
+    assert.deepEqual(registry.evaluate({ finished: true, success: true }, game, 30), []);
+    assert.deepEqual(registry.progress.unlocked, { perfect: 10, first_win: 20 });
+});
+
+test('merge() keeps the earliest unlock time and the higher counter', () => {
+    const local = { v: 1, unlocked: { first_win: 300, perfect: 100 }, counters: { won: 2, played: 9 } };
+    const cloud = { v: 1, unlocked: { first_win: 200, veteran: 500 }, counters: { won: 5 } };
+
+    const merged = AchievementRegistry.merge(local, cloud);
+    assert.deepEqual(merged.unlocked, { first_win: 200, perfect: 100, veteran: 500 });
+    assert.deepEqual(merged.counters, { won: 5, played: 9 });
+    assert.deepEqual(AchievementRegistry.merge(cloud, local), merged);
+});
+
+test('progress round-trips through serialize() and parse()', () => {
+    const registry = new AchievementRegistry(DEFINITIONS);
+    registry.count('won', 3, 10);
+
+    assert.deepEqual(AchievementRegistry.parse(registry.serialize()), registry.progress);
+    ['', 'not json', '{"v":99,"unlocked":{"veteran":1}}'].forEach(text => {
+        assert.deepEqual(AchievementRegistry.parse(text), { v: 1, unlocked: {}, counters: {} }, text);
+    });
+});
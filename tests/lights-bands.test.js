@@ -0,0 +1,69 @@
+// lights-bands.test.js - Every Lights Out variant and difficulty can deal a board in its press band
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LightsSolver = require('../lights-solver');
+const LightsVerifier = require('../lights-verifier');
+const SeededRandom = require('../seeded-random');
+
+const VARIANTS = ['classic', 'torus', 'king', 'torus+king'];
+const COLORS = [3, 5, 7];
+const SEEDS = 8;
+
+// Every variant lights.html accepts, as launch parameters
+const launches = [];
+VARIANTS.forEach(variant => {
+    launches.push({ variant });
+    COLORS.forEach(colors => launches.push({ variant: variant === 'classic' ? 'colors' : `${variant}+colors`, colors }));
+});
+
+launches.forEach(custom => {
+    test(`${custom.variant}${custom.colors ? ` with ${custom.colors} colors` : ''} deals boards at every difficulty`, () => {
+        [1, 2, 3, 4].forEach(difficulty => {
+            for (let seed = 0; seed < SEEDS; seed++) {
+                const rng = new SeededRandom(`bands-${seed}`);
+                // create() generates the board through LightsSolver.generate(), which throws off the band
+                const game = LightsVerifier.create({ d: difficulty, h: 0, c: custom }, rng, null);
+                assert.ok(game.par >= 1, `difficulty ${difficulty}, seed ${seed}`);
+            }
+        });
+    });
+});
+
+test('generated boards need exactly optimalMoves presses', () => {
+    const options = LightsSolver.parseVariant('king+colors', 3);
+    const rng = new SeededRandom('exact');
+    for (let round = 0; round < 10; round++) {
+        const { grid, optimalMoves } = LightsSolver.generate(4, { min: 5, max: 8 }, (n) => rng.nextInt(n), options);
+        assert.ok(optimalMoves >= 5 && optimalMoves <= 8);
+
+        const presses = LightsSolver.solve(grid, options);
+        assert.equal(presses.reduce((sum, [, , times]) => sum + times, 0), optimalMoves);
+        presses.forEach(([row, col, times]) => {
+            for (let t = 0; t < times; t++) LightsSolver.press(grid, row, col, options);
+        });
+        assert.ok(LightsSolver.isSolved(grid));
+    }
+});
+
+test('launch bands out of reach fall back to the difficulty band', () => {
+    [{ minPresses: 12 }, { minPresses: 20, maxPresses: 25 }].forEach(custom => {
+        const game = LightsVerifier.create({ d: 1, h: 0, c: custom }, new SeededRandom('fallback'), null);
+        assert.ok(game.par >= 3 && game.par <= 5, JSON.stringify(custom));
+    });
+
+    // A torus 5x5 board never needs more than 8 presses, though 11-15 is below 25 cells
+    const game = LightsVerifier.create({ d: 3, h: 0, c: { variant: 'torus', minPresses: 11, maxPresses: 15 } }, new SeededRandom('fallback'), null);
+    assert.ok(game.par >= 7 && game.par <= 8);
+});
+
+test('bands out of reach fail instead of dealing another board', () => {
+    const rng = new SeededRandom('reach');
+    const torus = LightsSolver.parseVariant('torus');
+    assert.throws(() => LightsSolver.generate(5, { min: 11, max: 15 }, (n) => rng.nextInt(n), torus), /No 5x5 board/);
+    assert.throws(() => LightsSolver.generate(3, { min: 10, max: 12 }, (n) => rng.nextInt(n)), /can't need/);
+});
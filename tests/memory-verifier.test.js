@@ -0,0 +1,49 @@
+// memory-verifier.test.js - Hot-seat turns and per-player scores in the Memory Match verifier
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryVerifier = require('../memory-verifier');
+const ScoringEngine = require('../scoring');
+const SeededRandom = require('../seeded-random');
+
+function deal(custom) {
+    const scoring = new ScoringEngine(MemoryVerifier.scoring);
+    return MemoryVerifier.create({ d: 1, c: custom }, new SeededRandom('hot-seat'), scoring);
+}
+
+function matches(a, b) {
+    const probe = deal({ players: 2 });
+    probe.apply('flip', [a]);
+    probe.apply('flip', [b]);
+    return probe.getGameData().players[0].matches === 1;
+}
+
+test('a miss passes the turn and each player keeps their own matches', () => {
+    // Two cards of one pair, found on fresh deals of the same seed
+    let a = 0;
+    let b = 1;
+    while (!matches(a, b)) b++;
+    const other = b === 1 ? 2 : 1;
+
+    const game = deal({ players: 2 });
+
+    // Player 1 misses, so player 2 makes the match
+    game.apply('flip', [a]);
+    game.apply('flip', [other]);
+    game.apply('flip', [a]);
+    game.apply('flip', [b]);
+
+    const { players } = game.getGameData();
+    assert.equal(players[0].matches, 0);
+    assert.equal(players[1].matches, 1);
+    assert.equal(players[1].score, game.state.score);
+    assert.ok(players[1].score > 0);
+});
+
+test('single-player rounds report no player split', () => {
+    assert.deepEqual(deal({}).getGameData(), {});
+});
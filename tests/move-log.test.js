@@ -0,0 +1,50 @@
+// move-log.test.js - MoveLog round trips and input timing
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MoveLog = require('../move-log');
+
+const HEADER = { g: 'hanoi', s: 'seed-1', r: 2, d: 2, h: 3, u: 0, t: 0, p: 0, k: null, c: { pegs: 3 } };
+
+test('replay data round-trips with times rounded down to 50 ms', () => {
+    const inputs = [[0, 'select', 0], [180, 'select', 2], [20345, 'select', 0], [20399, 'undo'], [95020, 'select', 1]];
+    const decoded = MoveLog.decode(MoveLog.encode({ ...HEADER, i: inputs }));
+
+    Object.keys(HEADER).forEach(key => assert.deepEqual(decoded[key], HEADER[key], key));
+    assert.deepEqual(decoded.i, [[0, 'select', 0], [150, 'select', 2], [20300, 'select', 0], [20350, 'undo'], [95000, 'select', 1]]);
+});
+
+test('long pauses keep their length', () => {
+    const decoded = MoveLog.decode(MoveLog.encode({ ...HEADER, i: [[1000, 'select', 0], [21000, 'select', 1]] }));
+    assert.equal(decoded.i[1][0] - decoded.i[0][0], 20000);
+});
+
+test('rounding never adds up over a round', () => {
+    const inputs = Array.from({ length: 500 }, (_, n) => [n * 149, 'select', n % 3]);
+    const decoded = MoveLog.decode(MoveLog.encode({ ...HEADER, i: inputs }));
+
+    decoded.i.forEach(([time], n) => {
+        assert.ok(time <= inputs[n][0] && inputs[n][0] - time < MoveLog.UNIT_MS, `input ${n} at ${time}ms`);
+    });
+});
+
+test('coarsen keeps the inputs and rounds times to the new unit', () => {
+    const inputs = [[740, 'select', 0], [2630, 'select', 1], [9999, 'hint']];
+    const code = MoveLog.encode({ ...HEADER, i: inputs });
+    const coarse = MoveLog.coarsen(code, 1000);
+
+    assert.ok(coarse.length <= code.length);
+    assert.deepEqual(MoveLog.decode(coarse).i, [[0, 'select', 0], [2000, 'select', 1], [9000, 'hint']]);
+});
+
+test('truncated and unknown codes are rejected', () => {
+    const code = MoveLog.encode({ ...HEADER, i: [[0, 'select', 0], [5000, 'select', 1], [9000, 'select', 2]] });
+    assert.throws(() => MoveLog.decode(code.split('.')[0]), /truncated/);
+
+    const head = Buffer.from(JSON.stringify({ v: 99, y: [], n: 0 })).toString('base64url');
+    assert.throws(() => MoveLog.decode(`${head}.`), /Unsupported/);
+});
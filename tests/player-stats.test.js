@@ -0,0 +1,101 @@
+// player-stats.test.js - PlayerStats storage keys, recording rounds, size limit and sync
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlayerStats = require('../player-stats');
+
+test('default rules keep the keys stats were stored under', () => {
+    assert.equal(PlayerStats.key('hanoi', 2, 42), 'stats_hanoi_d2_42');
+    assert.equal(PlayerStats.key('hanoi', 2, 42, ''), 'stats_hanoi_d2_42');
+    assert.equal(PlayerStats.key('hanoi', 2, null), 'stats_hanoi_d2_anon');
+});
+
+test('variants get keys of their own', () => {
+    const keys = ['', '4pegs', 'cyclic', '4pegs-cyclic'].map(variant => PlayerStats.key('hanoi', 2, 42, variant));
+    assert.equal(new Set(keys).size, keys.length);
+    assert.equal(keys[3], 'stats_hanoi_d2_4pegs-cyclic_42');
+});
+
+// Local noon, so day boundaries don't depend on the machine's time zone
+const day = (date, hour = 12) => new Date(`${date}T${String(hour).padStart(2, '0')}:00:00`).getTime();
+
+function play(runs) {
+    let stats = PlayerStats.empty();
+    const bests = [];
+    runs.forEach(([at, run]) => {
+        const outcome = PlayerStats.record(stats, run, at);
+        stats = outcome.stats;
+        bests.push(outcome.personalBests);
+    });
+    return { stats, bests };
+}
+
+test('bests ignore losses for time and moves but not for score', () => {
+    const { stats, bests } = play([
+        [day('2026-10-01'), { success: true, score: 800, time: 60, moves: 20 }],
+        [day('2026-10-01', 13), { success: false, score: 900, time: 5, moves: 2 }],
+        [day('2026-10-01', 14), { success: true, score: 700, time: 50, moves: 25 }]
+    ]);
+
+    assert.deepEqual(stats.best, { score: 900, time: 50, moves: 20 });
+    // The first round sets values without counting as personal bests
+    assert.deepEqual(bests, [[], ['score'], ['time']]);
+    assert.deepEqual(stats.totals, { score: 2400, time: 115, moves: 47 });
+});
+
+test('a loss ends the win streak and the best streak stays', () => {
+    const results = [true, true, true, false, true];
+    const { stats } = play(results.map((success, i) => [day('2026-10-01', 8 + i), { success, score: 100, time: 30, moves: 10 }]));
+
+    assert.equal(stats.played, 5);
+    assert.equal(stats.won, 4);
+    assert.deepEqual(stats.streak, { current: 1, best: 3 });
+});
+
+test('day streaks count consecutive days and restart after a gap', () => {
+    const run = { success: true, score: 100, time: 30, moves: 10 };
+    const dates = ['2026-10-01', '2026-10-01', '2026-10-02', '2026-10-03', '2026-10-06', '2026-10-07'];
+    const { stats } = play(dates.map(date => [day(date), run]));
+
+    assert.deepEqual(stats.days, { current: 2, best: 3, last: '2026-10-07' });
+    assert.equal(PlayerStats.summary(stats, day('2026-10-08')).dayStreak, 2);
+    assert.equal(PlayerStats.summary(stats, day('2026-10-09')).dayStreak, 0);
+});
+
+test('serialize() trims recent and then top runs to fit', () => {
+    const runs = Array.from({ length: 30 }, (_, i) => [day('2026-10-01') + i * 60000, { success: true, score: i, time: 30, moves: 10 }]);
+    const { stats } = play(runs);
+    const full = PlayerStats.serialize(stats);
+
+    assert.ok(full.length <= PlayerStats.MAX_LENGTH);
+    assert.deepEqual(PlayerStats.parse(full), stats);
+
+    const limit = full.length - 200;
+    const trimmed = PlayerStats.parse(PlayerStats.serialize(stats, limit));
+    assert.ok(PlayerStats.serialize(stats, limit).length <= limit);
+    assert.ok(trimmed.recent.length < stats.recent.length);
+    assert.deepEqual(trimmed.recent, stats.recent.slice(0, trimmed.recent.length));
+    assert.deepEqual(trimmed.top, stats.top);
+    assert.equal(trimmed.played, 30);
+
+    // Past the recent runs, the lowest top runs go
+    const bare = JSON.stringify(Object.assign({}, stats, { recent: [], top: stats.top.slice(0, 2) })).length;
+    const squeezed = PlayerStats.parse(PlayerStats.serialize(stats, bare));
+    assert.deepEqual(squeezed.recent, []);
+    assert.deepEqual(squeezed.top, stats.top.slice(0, 2));
+});
+
+test('newer() prefers more play, then the later update', () => {
+    const a = Object.assign(PlayerStats.empty(), { played: 5, updatedAt: 100 });
+    const b = Object.assign(PlayerStats.empty(), { played: 4, updatedAt: 200 });
+    const c = Object.assign(PlayerStats.empty(), { played: 5, updatedAt: 300 });
+
+    assert.equal(PlayerStats.newer(a, b), a);
+    assert.equal(PlayerStats.newer(b, a), a);
+    assert.equal(PlayerStats.newer(a, c), c);
+    assert.equal(PlayerStats.newer(a, Object.assign({}, a)), a);
+});
@@ -0,0 +1,140 @@
+// result-encoder.test.js - ResultEncoder round trips, size limit and drop order
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ResultEncoder = require('../result-encoder');
+const MoveLog = require('../move-log');
+
+const LIMIT = ResultEncoder.MAX_BYTES;
+
+// Fields ResultEncoder never drops, in priority order
+const REQUIRED = ['sessionId', 'gameId', 'success', 'score', 'finalScore', 'moves', 'timeElapsed', 'initData', 'replay'];
+
+function makeResult(extra = {}) {
+    return {
+        sessionId: 'session-1',
+        gameId: 'hanoi',
+        success: true,
+        score: 1250,
+        finalScore: 1250,
+        moves: 15,
+        timeElapsed: 42,
+        initData: 'query_id=AAE&user=%7B%22id%22%3A1%7D&auth_date=1700000000&hash=abc',
+        replay: 'eyJ2IjoyfQ.AAAA',
+        userId: 1,
+        seed: 'seed-1',
+        round: 1,
+        status: 'completed',
+        rating: 'S',
+        scoreBreakdown: { base: 1000, time: 250 },
+        achievements: ['first_win'],
+        language: 'en',
+        gameName: 'Tower of Hanoi',
+        outputString: '🎉 Tower of Hanoi - Completed',
+        ...extra
+    };
+}
+
+// Multi-byte filler so character counts and byte counts differ
+const filler = (bytes) => 'ё'.repeat(Math.floor(bytes / 2));
+
+test('small results round-trip unchanged with full keys', () => {
+    const result = makeResult();
+    const payload = ResultEncoder.encode(result);
+
+    assert.deepEqual(JSON.parse(payload), result);
+    assert.deepEqual(ResultEncoder.decode(payload), result);
+    assert.deepEqual(ResultEncoder.droppedFields(result, ResultEncoder.decode(payload)), []);
+});
+
+test('keys are abbreviated before any field is dropped', () => {
+    // Just too large with full keys, well inside the limit with short ones
+    const base = ResultEncoder.byteLength(ResultEncoder.encode(makeResult({ gameData: '' })));
+    const result = makeResult({ gameData: 'x'.repeat(LIMIT - base + 10) });
+    const payload = ResultEncoder.encode(result);
+
+    assert.equal(JSON.parse(payload)._, 1);
+    assert.ok(!('sessionId' in JSON.parse(payload)));
+    assert.deepEqual(ResultEncoder.decode(payload), result);
+});
+
+test('payloads never exceed the limit in UTF-8 bytes', () => {
+    [0, 1000, LIMIT - 300, LIMIT - 100, LIMIT, LIMIT + 1, LIMIT * 2].forEach(size => {
+        const payload = ResultEncoder.encode(makeResult({ gameData: { note: filler(size) } }));
+        assert.ok(ResultEncoder.byteLength(payload) <= LIMIT, `filler of ${size} bytes gave ${ResultEncoder.byteLength(payload)}`);
+    });
+});
+
+test('byteLength counts UTF-8 bytes, not characters', () => {
+    assert.equal(ResultEncoder.byteLength('abc'), 3);
+    assert.equal(ResultEncoder.byteLength('ё'), 2);
+    assert.equal(ResultEncoder.byteLength('🎉'), 4);
+});
+
+test('lowest-priority fields are dropped first', () => {
+    const result = makeResult({ gameData: { note: filler(LIMIT) } });
+    const decoded = ResultEncoder.decode(ResultEncoder.encode(result));
+    const dropped = ResultEncoder.droppedFields(result, decoded);
+
+    assert.ok(dropped.includes('gameData'));
+    // What was dropped is always a tail of the priority order
+    const order = ResultEncoder.FIELDS.map(([name]) => name).filter(name => name in result);
+    assert.deepEqual(dropped, order.slice(order.length - dropped.length));
+    // Everything kept comes back intact
+    Object.keys(decoded).forEach(name => assert.deepEqual(decoded[name], result[name]));
+});
+
+test('fields unknown to the encoder are dropped before known ones', () => {
+    const result = makeResult({ debugDump: filler(LIMIT) });
+    const decoded = ResultEncoder.decode(ResultEncoder.encode(result));
+
+    assert.deepEqual(ResultEncoder.droppedFields(result, decoded), ['debugDump']);
+});
+
+test('initData and the replay are kept whatever else has to go', () => {
+    const result = makeResult({ replay: 'r'.repeat(LIMIT - 700), gameData: { note: filler(LIMIT) } });
+    const decoded = ResultEncoder.decode(ResultEncoder.encode(result));
+
+    REQUIRED.forEach(name => assert.deepEqual(decoded[name], result[name], name));
+});
+
+test('results whose required fields do not fit fail to encode', () => {
+    assert.throws(() => ResultEncoder.encode(makeResult({ replay: 'r'.repeat(LIMIT) })), /does not fit/);
+});
+
+test('replays too long at full precision keep every input with coarser times', () => {
+    // Long thinking pauses take the most bits at 50 ms units
+    const inputs = [];
+    for (let n = 0, time = 0; n < 2000; n++) {
+        time += 4000 + (n * 7919) % 21000;
+        inputs.push([time, 'move', n % 2]);
+    }
+    const replay = MoveLog.encode({ g: 'hanoi', s: 'seed-1', r: 1, i: inputs });
+    assert.ok(replay.length > LIMIT);
+
+    const payload = ResultEncoder.encode(makeResult({ replay }));
+    assert.ok(ResultEncoder.byteLength(payload) <= LIMIT);
+
+    const decoded = MoveLog.decode(ResultEncoder.decode(payload).replay);
+    assert.equal(decoded.i.length, inputs.length);
+    decoded.i.forEach(([time, ...action], n) => {
+        assert.deepEqual(action, inputs[n].slice(1));
+        assert.ok(time <= inputs[n][0] && time > inputs[n][0] - 1000, `input ${n} at ${time}ms`);
+    });
+});
+
+test('encode honours a smaller limit', () => {
+    const result = makeResult();
+    const payload = ResultEncoder.encode(result, 400);
+
+    assert.ok(ResultEncoder.byteLength(payload) <= 400);
+    REQUIRED.forEach(name => assert.deepEqual(ResultEncoder.decode(payload)[name], result[name], name));
+});
+
+test('decode passes payloads with full keys through', () => {
+    assert.deepEqual(ResultEncoder.decode('{"sessionId":"s","sc":5}'), { sessionId: 's', sc: 5 });
+});
@@ -0,0 +1,91 @@
+// telegram-identity.test.js - initData signing and verification against the bot token
+//
+// Run from the repository root: node --test tests/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TelegramIdentity = require('../telegram-identity');
+
+const BOT_TOKEN = '123456:TEST-token';
+const AUTH_DATE = 1700000000;
+const NOW = { now: AUTH_DATE + 60 };
+
+const USER = { id: 279058397, first_name: 'Test', last_name: 'Player', username: 'test_player', language_code: 'ru' };
+
+// Signed with BOT_TOKEN by a separate HMAC-SHA256 implementation
+const KNOWN_GOOD = 'auth_date=1700000000&query_id=AAHdF6IQAAAAAN0XohDhrOrc' +
+    '&user=%7B%22id%22%3A279058397%2C%22first_name%22%3A%22Test%22%2C%22last_name%22%3A%22Player%22' +
+    '%2C%22username%22%3A%22test_player%22%2C%22language_code%22%3A%22ru%22%7D' +
+    '&hash=2cbc108e3e727d7a2a247ec7fc67dbeb3d8cee100e3c0a90fd97deba1ae60747';
+
+function signed(extra = {}) {
+    return TelegramIdentity.sign({ query_id: 'AAHdF6IQAAAAAN0XohDhrOrc', user: USER, auth_date: AUTH_DATE, ...extra }, BOT_TOKEN);
+}
+
+test('sign() output verifies with the same token', async () => {
+    const check = TelegramIdentity.verify(await signed(), BOT_TOKEN, NOW);
+
+    assert.equal(check.valid, true, check.error);
+    assert.equal(check.data.auth_date, AUTH_DATE);
+    assert.deepEqual(check.data.user, USER);
+    assert.equal(check.user.id, USER.id);
+    assert.equal(check.user.name, 'Test Player');
+    assert.equal(check.user.language, 'ru');
+});
+
+test('initData signed for another bot is rejected', async () => {
+    const check = TelegramIdentity.verify(await signed(), '654321:OTHER-token', NOW);
+
+    assert.equal(check.valid, false);
+    assert.equal(check.error, 'Invalid hash');
+    assert.equal(check.user, null);
+});
+
+test('changing any signed field breaks the hash', async () => {
+    const initData = await signed();
+    const tampered = [
+        initData.replace('%22id%22%3A279058397', '%22id%22%3A1'),
+        initData.replace(`auth_date=${AUTH_DATE}`, `auth_date=${AUTH_DATE + 1}`),
+        `${initData}&start_param=extra`
+    ];
+    tampered.forEach(value => {
+        assert.notEqual(value, initData);
+        assert.equal(TelegramIdentity.verify(value, BOT_TOKEN, NOW).error, 'Invalid hash', value);
+    });
+});
+
+test('initData older than maxAge has expired', async () => {
+    const initData = await signed();
+    const day = TelegramIdentity.DEFAULT_MAX_AGE;
+
+    assert.equal(TelegramIdentity.verify(initData, BOT_TOKEN, { now: AUTH_DATE + day }).valid, true);
+    assert.equal(TelegramIdentity.verify(initData, BOT_TOKEN, { now: AUTH_DATE + day + 1 }).error, 'initData expired');
+    assert.equal(TelegramIdentity.verify(initData, BOT_TOKEN, { maxAge: 30, now: AUTH_DATE + 31 }).error, 'initData expired');
+    assert.equal(TelegramIdentity.verify(initData, BOT_TOKEN, { maxAge: null, now: AUTH_DATE + day * 365 }).valid, true);
+});
+
+test('a known-good vector verifies and sign() reproduces it', async () => {
+    const check = TelegramIdentity.verify(KNOWN_GOOD, BOT_TOKEN, NOW);
+    assert.equal(check.valid, true, check.error);
+    assert.equal(check.user.username, 'test_player');
+
+    const hash = new URLSearchParams(KNOWN_GOOD).get('hash');
+    assert.equal(new URLSearchParams(await signed()).get('hash'), hash);
+});
+
+test('malformed hashes are rejected without throwing', () => {
+    const unsigned = KNOWN_GOOD.replace(/&hash=.*$/, '');
+    // Same string length as a real hash, twice the bytes
+    ['é'.repeat(64), 'g'.repeat(64), 'abc', `${'0'.repeat(64)}00`].forEach(hash => {
+        const initData = `${unsigned}&hash=${encodeURIComponent(hash)}`;
+        assert.equal(TelegramIdentity.verify(initData, BOT_TOKEN, NOW).error, 'Invalid hash', hash);
+    });
+});
+
+test('missing hash or token fails without throwing', () => {
+    const unsigned = KNOWN_GOOD.replace(/&hash=.*$/, '');
+    assert.equal(TelegramIdentity.verify(unsigned, BOT_TOKEN, NOW).error, 'Missing hash');
+    assert.equal(TelegramIdentity.verify(KNOWN_GOOD, '', NOW).error, 'Missing bot token');
+});